@@ -4,7 +4,7 @@
  * License: MIT
  */
 
-import { untracked, ɵRuntimeError as _RuntimeError, computed, ɵisInParamsFunction as _isInParamsFunction, ɵsetInParamsFunction as _setInParamsFunction, runInInjectionContext, Injector, linkedSignal, signal, APP_ID, effect, InjectionToken, inject } from '@angular/core';
+import { untracked, ɵRuntimeError as _RuntimeError, ɵformatRuntimeError as _formatRuntimeError, computed, ɵisInParamsFunction as _isInParamsFunction, ɵsetInParamsFunction as _setInParamsFunction, runInInjectionContext, Injector, linkedSignal, signal, APP_ID, effect, DestroyRef, InjectionToken, inject, isSignal } from '@angular/core';
 import { AbstractControl, FormGroup, FormArray } from '@angular/forms';
 import { SIGNAL } from '@angular/core/primitives/signals';
 
@@ -44,6 +44,21 @@ function isArray(value) {
 function isObject(value) {
   return (typeof value === 'object' || typeof value === 'function') && value != null;
 }
+function isMap(value) {
+  return value instanceof Map;
+}
+function isSet(value) {
+  return value instanceof Set;
+}
+function propertyKeys(value) {
+  return isMap(value) ? Array.from(value.keys()) : Object.keys(value);
+}
+function hasProperty(value, key) {
+  return isMap(value) ? value.has(key) : Object.hasOwn(value, key);
+}
+function readProperty(value, key) {
+  return isMap(value) ? value.get(key) : value[key];
+}
 
 const DYNAMIC = Symbol();
 const IGNORED = Symbol();
@@ -157,6 +172,8 @@ class LogicContainer {
   syncErrors;
   syncTreeErrors;
   asyncErrors;
+  syncWarnings;
+  asyncWarnings;
   metadata = new Map();
   constructor(predicates) {
     this.predicates = predicates;
@@ -166,9 +183,11 @@ class LogicContainer {
     this.syncErrors = ArrayMergeIgnoreLogic.ignoreNull(predicates);
     this.syncTreeErrors = ArrayMergeIgnoreLogic.ignoreNull(predicates);
     this.asyncErrors = ArrayMergeIgnoreLogic.ignoreNull(predicates);
+    this.syncWarnings = ArrayMergeIgnoreLogic.ignoreNull(predicates);
+    this.asyncWarnings = ArrayMergeIgnoreLogic.ignoreNull(predicates);
   }
   hasAnyLogic() {
-    return this.hidden.hasRules() || this.disabledReasons.hasRules() || this.readonly.hasRules() || this.syncErrors.hasRules() || this.syncTreeErrors.hasRules() || this.asyncErrors.hasRules() || this.metadata.size > 0;
+    return this.hidden.hasRules() || this.disabledReasons.hasRules() || this.readonly.hasRules() || this.syncErrors.hasRules() || this.syncTreeErrors.hasRules() || this.asyncErrors.hasRules() || this.syncWarnings.hasRules() || this.asyncWarnings.hasRules() || this.metadata.size > 0;
   }
   hasMetadata(key) {
     return this.metadata.has(key);
@@ -192,6 +211,8 @@ class LogicContainer {
     this.syncErrors.mergeIn(other.syncErrors);
     this.syncTreeErrors.mergeIn(other.syncTreeErrors);
     this.asyncErrors.mergeIn(other.asyncErrors);
+    this.syncWarnings.mergeIn(other.syncWarnings);
+    this.asyncWarnings.mergeIn(other.asyncWarnings);
     for (const key of other.getMetadataKeys()) {
       const metadataLogic = other.metadata.get(key);
       this.getMetadata(key).mergeIn(metadataLogic);
@@ -199,8 +220,10 @@ class LogicContainer {
   }
 }
 
+let nextDeclarationOrder = 0;
 class AbstractLogicNodeBuilder {
   depth;
+  declarationOrder = nextDeclarationOrder++;
   constructor(depth) {
     this.depth = depth;
   }
@@ -232,6 +255,12 @@ class LogicNodeBuilder extends AbstractLogicNodeBuilder {
   addAsyncErrorRule(logic) {
     this.getCurrent().addAsyncErrorRule(logic);
   }
+  addSyncWarningRule(logic) {
+    this.getCurrent().addSyncWarningRule(logic);
+  }
+  addAsyncWarningRule(logic) {
+    this.getCurrent().addAsyncWarningRule(logic);
+  }
   addMetadataRule(key, logic) {
     this.getCurrent().addMetadataRule(key, logic);
   }
@@ -260,6 +289,11 @@ class LogicNodeBuilder extends AbstractLogicNodeBuilder {
       builder
     }) => builder.anyChildHasLogic());
   }
+  childKeys() {
+    return this.all.flatMap(({
+      builder
+    }) => builder.childKeys());
+  }
   mergeIn(other, predicate) {
     if (predicate) {
       this.all.push({
@@ -313,6 +347,12 @@ class NonMergeableLogicNodeBuilder extends AbstractLogicNodeBuilder {
   addAsyncErrorRule(logic) {
     this.logic.asyncErrors.push(setBoundPathDepthForResolution(logic, this.depth));
   }
+  addSyncWarningRule(logic) {
+    this.logic.syncWarnings.push(setBoundPathDepthForResolution(logic, this.depth));
+  }
+  addAsyncWarningRule(logic) {
+    this.logic.asyncWarnings.push(setBoundPathDepthForResolution(logic, this.depth));
+  }
   addMetadataRule(key, logic) {
     this.logic.getMetadata(key).push(setBoundPathDepthForResolution(logic, this.depth));
   }
@@ -336,6 +376,9 @@ class NonMergeableLogicNodeBuilder extends AbstractLogicNodeBuilder {
     }
     return false;
   }
+  childKeys() {
+    return [...this.children.keys()].filter(key => key !== DYNAMIC);
+  }
 }
 class LeafLogicNode {
   builder;
@@ -348,6 +391,9 @@ class LeafLogicNode {
     this.depth = depth;
     this.logic = builder ? createLogic(builder, predicates, depth) : new LogicContainer([]);
   }
+  get declarationOrder() {
+    return this.builder?.declarationOrder ?? Infinity;
+  }
   getChild(key) {
     const childBuilders = this.builder ? getAllChildBuilders(this.builder, key) : [];
     if (childBuilders.length === 0) {
@@ -378,6 +424,9 @@ class LeafLogicNode {
   anyChildHasLogic() {
     return this.builder ? this.builder.anyChildHasLogic() : false;
   }
+  childKeys() {
+    return this.builder ? this.builder.childKeys() : [];
+  }
 }
 class CompositeLogicNode {
   all;
@@ -389,6 +438,9 @@ class CompositeLogicNode {
       this.logic.mergeIn(node.logic);
     }
   }
+  get declarationOrder() {
+    return Math.min(...this.all.map(node => node.declarationOrder));
+  }
   getChild(key) {
     return new CompositeLogicNode(this.all.flatMap(child => child.getChild(key)));
   }
@@ -401,6 +453,9 @@ class CompositeLogicNode {
   anyChildHasLogic() {
     return this.all.some(child => child.anyChildHasLogic());
   }
+  childKeys() {
+    return this.all.flatMap(child => child.childKeys());
+  }
 }
 function getAllChildBuilders(builder, key) {
   if (builder instanceof LogicNodeBuilder) {
@@ -462,6 +517,7 @@ class FieldPathNode {
   parent;
   keyInParent;
   root;
+  schemaFn;
   children = new Map();
   fieldPathProxy = new Proxy(this, FIELD_PATH_PROXY_HANDLER);
   logicBuilder;
@@ -493,8 +549,10 @@ class FieldPathNode {
   static unwrapFieldPath(formPath) {
     return formPath[PATH];
   }
-  static newRoot() {
-    return new FieldPathNode([], undefined, undefined, undefined);
+  static newRoot(schemaFn) {
+    const root = new FieldPathNode([], undefined, undefined, undefined);
+    root.schemaFn = schemaFn;
+    return root;
   }
 }
 const FIELD_PATH_PROXY_HANDLER = {
@@ -517,7 +575,7 @@ class SchemaImpl {
     if (compiledSchemas.has(this)) {
       return compiledSchemas.get(this);
     }
-    const path = FieldPathNode.newRoot();
+    const path = FieldPathNode.newRoot(this.schemaFn);
     compiledSchemas.set(this, path);
     let prevCompilingNode = currentCompilingNode;
     try {
@@ -643,6 +701,7 @@ const MAX_NUMBER = createMetadataKey(MetadataReducer.min());
 const MIN_LENGTH = createMetadataKey(MetadataReducer.max());
 const MAX_LENGTH = createMetadataKey(MetadataReducer.min());
 const PATTERN = createMetadataKey(MetadataReducer.list());
+const LABEL = createMetadataKey();
 
 function shallowArrayEquals(a, b) {
   if (a === b) return true;
@@ -653,6 +712,16 @@ function shallowArrayEquals(a, b) {
   }
   return true;
 }
+function deepEquals(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (isSet(a) && isSet(b)) return a.size === b.size && [...a].every(item => b.has(item));
+  if (!isObject(a) || !isObject(b) || isArray(a) !== isArray(b) || isMap(a) !== isMap(b) || isSet(a) !== isSet(b)) return false;
+  if (isMap(a)) return a.size === b.size && [...a].every(([key, value]) => b.has(key) && deepEquals(value, b.get(key)));
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.hasOwn(b, key) && deepEquals(a[key], b[key]));
+}
 
 function calculateValidationSelfStatus(state) {
   if (state.errors().length > 0) {
@@ -663,6 +732,20 @@ function calculateValidationSelfStatus(state) {
   }
   return 'valid';
 }
+function areErrorsVisible(node, policy = 'always') {
+  switch (policy) {
+    case 'always':
+      return true;
+    case 'touched':
+      return node.touched() || node.submitted();
+    case 'dirty':
+      return node.dirty() || node.submitted();
+    case 'submitted':
+      return node.submitted();
+    default:
+      return policy(node);
+  }
+}
 class FieldValidationState {
   node;
   constructor(node) {
@@ -732,7 +815,7 @@ class FieldValidationState {
     } : {}),
     equal: shallowArrayEquals
   });
-  errors = computed(() => [...this.parseErrors(), ...this.syncErrors(), ...this.asyncErrors().filter(err => err !== 'pending')], {
+  errors = computed(() => resolveErrorMessages([...this.parseErrors(), ...this.syncErrors(), ...this.asyncErrors().filter(err => err !== 'pending')], this.node.structure.fieldManager.config?.errorMessages), {
     ...(ngDevMode ? {
       debugName: "errors"
     } : {}),
@@ -740,9 +823,7 @@ class FieldValidationState {
   });
   errorSummary = computed(() => {
     const errors = this.node.structure.reduceChildren(this.errors(), (child, result) => [...result, ...child.errorSummary()]);
-    if (typeof ngServerMode === 'undefined' || !ngServerMode) {
-      untracked(() => errors.sort(compareErrorPosition));
-    }
+    untracked(() => sortErrors(errors, this.node.structure.fieldManager.errorSummaryOrder));
     return errors;
   }, {
     ...(ngDevMode ? {
@@ -750,6 +831,79 @@ class FieldValidationState {
     } : {}),
     equal: shallowArrayEquals
   });
+  errorVisibility = computed(() => {
+    const logic = this.node.logicNode.logic;
+    if (logic.hasMetadata(ERROR_VISIBILITY)) {
+      return logic.getMetadata(ERROR_VISIBILITY).compute(this.node.context);
+    }
+    return this.node.structure.parent ? this.node.structure.parent.validationState.errorVisibility() : this.node.structure.fieldManager.config?.errorVisibility;
+  }, ...(ngDevMode ? [{
+    debugName: "errorVisibility"
+  }] : []));
+  errorsVisible = computed(() => areErrorsVisible(this.node, this.errorVisibility()), ...(ngDevMode ? [{
+    debugName: "errorsVisible"
+  }] : []));
+  visibleErrors = computed(() => this.errorsVisible() ? this.errors() : [], {
+    ...(ngDevMode ? {
+      debugName: "visibleErrors"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  visibleErrorSummary = computed(() => this.errorSummary().filter(error => error.fieldTree().validationState.errorsVisible()), {
+    ...(ngDevMode ? {
+      debugName: "visibleErrorSummary"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  syncWarnings = computed(() => {
+    if (this.shouldSkipValidation()) {
+      return [];
+    }
+    return this.node.logicNode.logic.syncWarnings.compute(this.node.context);
+  }, {
+    ...(ngDevMode ? {
+      debugName: "syncWarnings"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  rawAsyncWarnings = computed(() => {
+    if (this.shouldSkipValidation()) {
+      return [];
+    }
+    return [...this.node.logicNode.logic.asyncWarnings.compute(this.node.context), ...(this.node.structure.parent?.validationState.rawAsyncWarnings() ?? [])];
+  }, {
+    ...(ngDevMode ? {
+      debugName: "rawAsyncWarnings"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  asyncWarnings = computed(() => {
+    if (this.shouldSkipValidation()) {
+      return [];
+    }
+    return this.rawAsyncWarnings().filter(warning => warning === 'pending' || warning.fieldTree === this.node.fieldTree);
+  }, {
+    ...(ngDevMode ? {
+      debugName: "asyncWarnings"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  warnings = computed(() => resolveErrorMessages([...this.syncWarnings(), ...this.asyncWarnings().filter(warning => warning !== 'pending')], this.node.structure.fieldManager.config?.errorMessages), {
+    ...(ngDevMode ? {
+      debugName: "warnings"
+    } : {}),
+    equal: shallowArrayEquals
+  });
+  warningSummary = computed(() => {
+    const warnings = this.node.structure.reduceChildren(this.warnings(), (child, result) => [...result, ...child.warningSummary()]);
+    untracked(() => sortErrors(warnings, this.node.structure.fieldManager.errorSummaryOrder));
+    return warnings;
+  }, {
+    ...(ngDevMode ? {
+      debugName: "warningSummary"
+    } : {}),
+    equal: shallowArrayEquals
+  });
   pending = computed(() => this.node.structure.reduceChildren(this.asyncErrors().includes('pending'), (child, value) => value || child.validationState.pending()), ...(ngDevMode ? [{
     debugName: "pending"
   }] : []));
@@ -788,6 +942,39 @@ function normalizeErrors(error) {
   }
   return [error];
 }
+const resolvedErrorCache = new WeakMap();
+function resolveErrorMessages(errors, resolvers) {
+  if (!resolvers) {
+    return errors;
+  }
+  let resolved = resolvedErrorCache.get(resolvers);
+  if (!resolved) {
+    resolved = new WeakMap();
+    resolvedErrorCache.set(resolvers, resolved);
+  }
+  return errors.map(error => {
+    const resolver = resolvers[error.kind];
+    if (!resolver || error.message !== undefined) {
+      return error;
+    }
+    let copy = resolved.get(error);
+    if (!copy) {
+      copy = Object.assign(Object.create(Object.getPrototypeOf(error)), error);
+      Object.defineProperty(copy, 'message', {
+        get: () => {
+          const message = resolver(copy, {
+            label: copy.fieldTree().metadata(LABEL)?.()
+          });
+          return isSignal(message) ? message() : message;
+        },
+        enumerable: true,
+        configurable: true
+      });
+      resolved.set(error, copy);
+    }
+    return copy;
+  });
+}
 function addDefaultField(errors, fieldTree) {
   if (isArray(errors)) {
     for (const error of errors) {
@@ -812,8 +999,108 @@ function compareErrorPosition(a, b) {
   if (aEl === undefined || bEl === undefined) return aEl === undefined ? 1 : -1;
   return aEl.compareDocumentPosition(bEl) & Node.DOCUMENT_POSITION_PRECEDING ? 1 : -1;
 }
+function sortErrors(errors, order = 'dom') {
+  const bySchema = order === 'schema';
+  const positions = new Map();
+  const positionOf = error => {
+    const node = error.fieldTree();
+    if (!positions.has(node)) {
+      positions.set(node, getFieldPosition(node, bySchema));
+    }
+    return positions.get(node);
+  };
+  const compareFields = (a, b) => comparePositions(positionOf(a), positionOf(b));
+  if (order === 'dom' && (typeof ngServerMode === 'undefined' || !ngServerMode)) {
+    errors.sort((a, b) => compareErrorPosition(a, b) || compareFields(a, b));
+  } else {
+    errors.sort(compareFields);
+  }
+}
+function getFieldPosition(node, bySchema) {
+  const position = [];
+  for (let current = node; current.structure.parent; current = current.structure.parent) {
+    const parentValue = current.structure.parent.value();
+    const key = current.keyInParent();
+    const modelIndex = isArray(parentValue) ? Number(key) : propertyKeys(parentValue).indexOf(key);
+    if (bySchema) {
+      position.unshift(current.logicNode.declarationOrder, modelIndex);
+    } else {
+      position.unshift(modelIndex);
+    }
+  }
+  return position;
+}
+function comparePositions(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+}
 
 const DEBOUNCER = createMetadataKey();
+const DIRTY_TRACKING = createMetadataKey();
+const TRACK_BY = createMetadataKey();
+const NORMALIZERS = createMetadataKey(MetadataReducer.list());
+const DEFAULT_VALUE = createMetadataKey();
+const ERROR_VISIBILITY = createMetadataKey();
+const DERIVED_VALUE = createManagedMetadataKey((node, derivedValue) => {
+  const derivedNodes = node.structure.fieldManager.derivedNodes;
+  derivedNodes.add(node);
+  inject(DestroyRef).onDestroy(() => derivedNodes.delete(node));
+  return derivedValue;
+});
+function derivedSignal(node, modelValue) {
+  const read = computed(() => {
+    const derived = node.nodeState.selfOverridden() ? undefined : node.metadataState.get(DERIVED_VALUE)();
+    return derived ? derived.value : modelValue();
+  }, ...(ngDevMode ? [{
+    debugName: "read"
+  }] : []));
+  read[SIGNAL] = modelValue[SIGNAL];
+  read.set = modelValue.set;
+  read.update = fn => {
+    read.set(fn(untracked(read)));
+  };
+  read.asReadonly = () => read;
+  return read;
+}
+function writeDerivedValue(node) {
+  if (node.structure.isOrphaned()) {
+    return false;
+  }
+  const derived = node.metadataState.get(DERIVED_VALUE)();
+  if (!derived || node.nodeState.selfOverridden() || deepEquals(node.structure.modelValue(), derived.value)) {
+    return false;
+  }
+  node.structure.modelValue.set(derived.value);
+  return true;
+}
+function modelSignalWithDerivedValues(fieldManager, model) {
+  const read = () => model();
+  read[SIGNAL] = model[SIGNAL];
+  read.set = value => {
+    model.set(value);
+    fieldManager.writeDerivedValues();
+  };
+  read.update = fn => {
+    read.set(fn(untracked(model)));
+  };
+  read.asReadonly = () => read;
+  return read;
+}
+function syncDerivedValues(node) {
+  if (node.metadataState.has(DERIVED_VALUE)) {
+    writeDerivedValue(node);
+  }
+  if (!node.logicNode.anyChildHasLogic()) {
+    return;
+  }
+  for (const child of node.structure.children()) {
+    syncDerivedValues(child);
+  }
+}
 
 class FieldNodeContext {
   node;
@@ -947,6 +1234,9 @@ const FIELD_PROXY_HANDLER = {
       if (property === 'length') {
         return tgt.value().length;
       }
+      if (Object.hasOwn(FIELD_ARRAY_METHODS, property)) {
+        return FIELD_ARRAY_METHODS[property](tgt);
+      }
       if (property === Symbol.iterator) {
         return () => {
           tgt.value();
@@ -954,6 +1244,9 @@ const FIELD_PROXY_HANDLER = {
         };
       }
     }
+    if (isSet(value) && Object.hasOwn(FIELD_SET_METHODS, property)) {
+      return FIELD_SET_METHODS[property](tgt);
+    }
     if (isObject(value)) {
       if (property === Symbol.iterator) {
         return function* () {
@@ -967,6 +1260,14 @@ const FIELD_PROXY_HANDLER = {
   },
   getOwnPropertyDescriptor(getTgt, prop) {
     const value = untracked(getTgt().value);
+    if (isMap(value)) {
+      return value.has(prop) ? {
+        value: value.get(prop),
+        writable: false,
+        enumerable: true,
+        configurable: true
+      } : undefined;
+    }
     const desc = Reflect.getOwnPropertyDescriptor(value, prop);
     if (desc && !desc.configurable) {
       desc.configurable = true;
@@ -975,12 +1276,123 @@ const FIELD_PROXY_HANDLER = {
   },
   ownKeys(getTgt) {
     const value = untracked(getTgt().value);
+    if (isMap(value)) {
+      return Array.from(value.keys()).filter(key => typeof key === 'string');
+    }
     return typeof value === 'object' && value !== null ? Reflect.ownKeys(value) : [];
   }
 };
 
+const FIELD_ARRAY_METHODS = {
+  push: node => (...items) => updateFieldArray(node, (array, identitySymbol) => {
+    const start = array.length;
+    array.push(...items.map(item => ensureUniqueIdentity(item, array, identitySymbol)));
+    return items.map((_, i) => start + i);
+  }),
+  insert: node => (index, ...items) => updateFieldArray(node, (array, identitySymbol) => {
+    array.splice(index, 0, ...items.map(item => ensureUniqueIdentity(item, array, identitySymbol)));
+    return items.map((_, i) => index + i);
+  }),
+  removeAt: node => (index, count = 1) => updateFieldArray(node, array => {
+    assertFieldArrayIndex(node, array, index);
+    array.splice(index, count);
+  }),
+  move: node => (from, to) => updateFieldArray(node, array => {
+    assertFieldArrayIndex(node, array, from);
+    assertFieldArrayIndex(node, array, to);
+    array.splice(to, 0, ...array.splice(from, 1));
+  }),
+  swap: node => (a, b) => updateFieldArray(node, array => {
+    assertFieldArrayIndex(node, array, a);
+    assertFieldArrayIndex(node, array, b);
+    [array[a], array[b]] = [array[b], array[a]];
+  }),
+  replace: node => (index, item) => updateFieldArray(node, (array, identitySymbol) => {
+    assertFieldArrayIndex(node, array, index);
+    const previous = array[index];
+    if (isObject(item) && isObject(previous) && Object.hasOwn(previous, identitySymbol)) {
+      array[index] = Object.assign(isArray(item) ? [...item] : Object.create(Object.getPrototypeOf(item)), item, {
+        [identitySymbol]: previous[identitySymbol]
+      });
+    } else {
+      array[index] = ensureUniqueIdentity(item, array, identitySymbol);
+    }
+  })
+};
+const FIELD_SET_METHODS = {
+  add: node => item => updateFieldSet(node, set => {
+    set.add(item);
+  }),
+  delete: node => item => updateFieldSet(node, set => {
+    set.delete(item);
+  }),
+  toggle: node => (item, force) => updateFieldSet(node, set => {
+    if (force ?? !set.has(item)) {
+      set.add(item);
+    } else {
+      set.delete(item);
+    }
+  })
+};
+function updateFieldSet(node, mutate) {
+  untracked(() => {
+    const set = new Set(node.value());
+    mutate(set);
+    node.value.set(set);
+  });
+}
+function updateFieldArray(node, mutate) {
+  untracked(() => {
+    const array = [...node.value()];
+    const added = mutate(array, node.structure.identitySymbol);
+    node.value.set(array);
+    for (const index of added ?? []) {
+      const item = node.structure.getChild(index);
+      if (item) {
+        applyDefaultValues(item, true);
+        syncDerivedValues(item);
+      }
+    }
+  });
+}
+function applyOwnDefaultValue(node, onlyMissing) {
+  const logic = node.logicNode.logic;
+  if (logic.hasMetadata(DEFAULT_VALUE) && (!onlyMissing || node.value() === undefined)) {
+    node.value.set(logic.getMetadata(DEFAULT_VALUE).compute(node.context));
+  }
+}
+function applyDefaultValues(node, onlyMissing) {
+  applyOwnDefaultValue(node, onlyMissing);
+  if (!node.logicNode.anyChildHasLogic()) {
+    return;
+  }
+  const value = node.value();
+  if (isObject(value) && !isArray(value) && !isMap(value)) {
+    for (const key of new Set(node.logicNode.childKeys())) {
+      const childLogic = node.logicNode.getChild(key).logic;
+      if (value[key] === undefined && childLogic.hasMetadata(DEFAULT_VALUE)) {
+        node.value.update(current => valueForWrite(current, childLogic.getMetadata(DEFAULT_VALUE).compute(node.context), key));
+      }
+    }
+  }
+  for (const child of node.structure.children()) {
+    applyDefaultValues(child, onlyMissing);
+  }
+}
+function assertFieldArrayIndex(node, array, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= array.length) {
+    throw new _RuntimeError(1925, ngDevMode && `Index ${index} is out of range for the field array ${getDebugName(node)} with ${array.length} items.`);
+  }
+}
+function ensureUniqueIdentity(item, array, identitySymbol) {
+  if (isObject(item) && Object.hasOwn(item, identitySymbol) && array.some(other => other !== item && isObject(other) && other[identitySymbol] === item[identitySymbol])) {
+    delete item[identitySymbol];
+  }
+  return item;
+}
+
 function deepSignal(source, prop) {
-  const read = computed(() => source()[prop()]);
+  const read = computed(() => readProperty(source(), prop()));
   read[SIGNAL] = source[SIGNAL];
   read.set = value => {
     if (Object.is(untracked(read), value)) {
@@ -995,6 +1407,9 @@ function deepSignal(source, prop) {
   return read;
 }
 function valueForWrite(sourceValue, newPropValue, prop) {
+  if (isMap(sourceValue)) {
+    return new Map(sourceValue).set(prop, newPropValue);
+  }
   if (isArray(sourceValue)) {
     const newValue = [...sourceValue];
     newValue[prop] = newPropValue;
@@ -1017,6 +1432,12 @@ class FieldNodeStructure {
   createChildNode;
   identitySymbol = Symbol();
   _injector = undefined;
+  trackBy = computed(() => {
+    const logic = this.logic.logic;
+    return logic.hasMetadata(TRACK_BY) ? logic.getMetadata(TRACK_BY).compute(this.node.context) : undefined;
+  }, ...(ngDevMode ? [{
+    debugName: "trackBy"
+  }] : []));
   _anyChildHasLogic;
   get injector() {
     this._injector ??= Injector.create({
@@ -1079,6 +1500,13 @@ class FieldNodeStructure {
     }
     return value;
   }
+  peekTrackingKey(item) {
+    const trackBy = this.trackBy();
+    if (trackBy) {
+      return item === undefined ? undefined : trackBy(item);
+    }
+    return isObject(item) && Object.hasOwn(item, this.identitySymbol) ? item[this.identitySymbol] : undefined;
+  }
   destroy() {
     this.injector.destroy();
   }
@@ -1144,7 +1572,7 @@ class FieldNodeStructure {
     });
   }
   computeChildrenMap(value, prevData, forceMaterialize) {
-    if (!isObject(value)) {
+    if (!isObject(value) || isSet(value)) {
       return undefined;
     }
     if (!forceMaterialize && prevData === undefined) {
@@ -1159,14 +1587,16 @@ class FieldNodeStructure {
     const parentIsArray = isArray(value);
     if (prevData !== undefined) {
       if (parentIsArray) {
-        materializedChildren = maybeRemoveStaleArrayFields(prevData, value, this.identitySymbol);
+        materializedChildren = maybeRemoveStaleArrayFields(prevData, value, this);
       } else {
         materializedChildren = maybeRemoveStaleObjectFields(prevData, value);
       }
     }
-    for (const key of Object.keys(value)) {
+    const trackBy = parentIsArray ? this.trackBy() : undefined;
+    const seenTrackingKeys = new Set();
+    for (const key of propertyKeys(value)) {
       let trackingKey = undefined;
-      const childValue = value[key];
+      const childValue = readProperty(value, key);
       if (childValue === undefined) {
         if (prevData.byPropertyKey.has(key)) {
           materializedChildren ??= {
@@ -1176,11 +1606,23 @@ class FieldNodeStructure {
         }
         continue;
       }
-      if (parentIsArray && isObject(childValue) && !isArray(childValue)) {
+      if (trackBy) {
+        trackingKey = trackBy(childValue);
+      } else if (parentIsArray && isObject(childValue) && !isArray(childValue)) {
         trackingKey = childValue[this.identitySymbol] ??= Symbol(ngDevMode ? `id:${globalId++}` : '');
       }
+      if (trackingKey !== undefined) {
+        if (seenTrackingKeys.has(trackingKey)) {
+          if (trackBy && typeof ngDevMode !== 'undefined' && ngDevMode) {
+            console.warn(_formatRuntimeError(1923, `Duplicate trackBy key ${String(trackingKey)} at index ${key} of ${getDebugName(this.node)}. ` + `The item's field state is tracked by its index instead.`));
+          }
+          trackingKey = undefined;
+        } else {
+          seenTrackingKeys.add(trackingKey);
+        }
+      }
       let childNode;
-      if (trackingKey) {
+      if (trackingKey !== undefined) {
         if (!prevData.byTrackingKey?.has(trackingKey)) {
           materializedChildren ??= {
             ...prevData
@@ -1232,17 +1674,20 @@ class RootFieldNodeStructure extends FieldNodeStructure {
   constructor(node, logic, fieldManager, value, createChildNode) {
     super(logic, node, createChildNode);
     this.fieldManager = fieldManager;
-    this.value = value;
+    this.value = modelSignalWithDerivedValues(fieldManager, value);
+    this.modelValue = value;
     this.childrenMap = this.createChildrenMap();
   }
 }
 class ChildFieldNodeStructure extends FieldNodeStructure {
   logic;
   parent;
+  identityInParent;
   root;
   pathKeys;
   keyInParent;
   value;
+  modelValue;
   childrenMap;
   isOrphaned;
   get fieldManager() {
@@ -1252,6 +1697,7 @@ class ChildFieldNodeStructure extends FieldNodeStructure {
     super(logic, node, createChildNode);
     this.logic = logic;
     this.parent = parent;
+    this.identityInParent = identityInParent;
     this.root = this.parent.structure.root;
     const signals = this.createKeyOrOrphanSignals('child', identityInParent, initialKeyInParent);
     this.isOrphaned = signals.isOrphaned;
@@ -1259,7 +1705,8 @@ class ChildFieldNodeStructure extends FieldNodeStructure {
     this.pathKeys = computed(() => [...parent.structure.pathKeys(), this.keyInParent()], ...(ngDevMode ? [{
       debugName: "pathKeys"
     }] : []));
-    this.value = deepSignal(this.parent.structure.value, this.keyInParent);
+    this.modelValue = deepSignal(this.parent.structure.value, this.keyInParent);
+    this.value = logic.logic.hasMetadata(DERIVED_VALUE) ? derivedSignal(node, this.modelValue) : this.modelValue;
     this.childrenMap = this.createChildrenMap();
     this.fieldManager.structures.add(this);
   }
@@ -1276,15 +1723,15 @@ const ROOT_KEY_IN_PARENT = computed(() => {
 function getDebugName(node) {
   return `<root>.${node.structure.pathKeys().join('.')}`;
 }
-function maybeRemoveStaleArrayFields(prevData, value, identitySymbol) {
+function maybeRemoveStaleArrayFields(prevData, value, structure) {
   let data;
   const oldKeys = new Set(prevData.byPropertyKey.keys());
   const oldTracking = prevData.byTrackingKey && new Set(prevData.byTrackingKey.keys());
   for (let i = 0; i < value.length; i++) {
     const childValue = value[i];
     oldKeys.delete(i.toString());
-    if (oldTracking && isObject(childValue) && Object.hasOwn(childValue, identitySymbol)) {
-      oldTracking.delete(childValue[identitySymbol]);
+    if (oldTracking) {
+      oldTracking.delete(structure.peekTrackingKey(childValue));
     }
   }
   if (oldKeys.size > 0) {
@@ -1308,7 +1755,7 @@ function maybeRemoveStaleArrayFields(prevData, value, identitySymbol) {
 function maybeRemoveStaleObjectFields(prevData, value) {
   let data;
   for (const key of prevData.byPropertyKey.keys()) {
-    if (!Object.hasOwn(value, key)) {
+    if (!hasProperty(value, key)) {
       data ??= {
         ...prevData
       };
@@ -1339,6 +1786,104 @@ class FieldSubmitState {
   }, ...(ngDevMode ? [{
     debugName: "submitting"
   }] : []));
+  selfSubmitCount = signal(0, ...(ngDevMode ? [{
+    debugName: "selfSubmitCount"
+  }] : []));
+  selfLastSubmission = signal(undefined, ...(ngDevMode ? [{
+    debugName: "selfLastSubmission"
+  }] : []));
+  submitCount = computed(() => {
+    return this.selfSubmitCount() + (this.node.structure.parent?.submitState.submitCount() ?? 0);
+  }, ...(ngDevMode ? [{
+    debugName: "submitCount"
+  }] : []));
+  submitted = computed(() => this.submitCount() > 0, ...(ngDevMode ? [{
+    debugName: "submitted"
+  }] : []));
+  lastSubmission = computed(() => {
+    const self = this.selfLastSubmission();
+    const inherited = this.node.structure.parent?.submitState.lastSubmission();
+    if (!self || !inherited) {
+      return self ?? inherited;
+    }
+    return inherited.at.getTime() > self.at.getTime() ? inherited : self;
+  }, ...(ngDevMode ? [{
+    debugName: "lastSubmission"
+  }] : []));
+  lastSubmitResult = computed(() => this.lastSubmission()?.result, ...(ngDevMode ? [{
+    debugName: "lastSubmitResult"
+  }] : []));
+  lastSubmittedAt = computed(() => this.lastSubmission()?.at, ...(ngDevMode ? [{
+    debugName: "lastSubmittedAt"
+  }] : []));
+  recordSubmission(result) {
+    this.selfSubmitCount.update(count => count + 1);
+    this.selfLastSubmission.set({
+      result,
+      at: new Date()
+    });
+  }
+  reset() {
+    this.selfSubmitCount.set(0);
+    this.selfLastSubmission.set(undefined);
+  }
+  activeSubmission = undefined;
+  startSubmission() {
+    const controller = new AbortController();
+    let settle;
+    const settled = new Promise(resolve => settle = resolve);
+    const submission = {
+      signal: controller.signal,
+      settled,
+      end: () => {
+        if (this.activeSubmission === submission) {
+          this.activeSubmission = undefined;
+          this.selfSubmitting.set(false);
+        }
+        settle();
+      },
+      cancel: () => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        controller.abort();
+        submission.end();
+      }
+    };
+    this.activeSubmission = submission;
+    this.selfSubmitting.set(true);
+    return submission;
+  }
+}
+function findActiveSubmission(node) {
+  for (let current = node; current; current = current.structure.parent) {
+    const submission = current.submitState.activeSubmission;
+    if (submission) {
+      return submission;
+    }
+  }
+  return findActiveDescendantSubmission(node);
+}
+function findActiveDescendantSubmission(node) {
+  for (const child of node.structure.materializedChildren()) {
+    const submission = child.submitState.activeSubmission ?? findActiveDescendantSubmission(child);
+    if (submission) {
+      return submission;
+    }
+  }
+  return undefined;
+}
+function collectSubmissionErrors(node, onlySelf, result = []) {
+  const errors = node.submitState.submissionErrors();
+  if (errors.length > 0) {
+    result.push([node, errors]);
+  }
+  if (!onlySelf) {
+    for (const child of node.structure.materializedChildren()) {
+      collectSubmissionErrors(child, false, result);
+    }
+  }
+  return result;
 }
 
 class FieldNode {
@@ -1393,6 +1938,9 @@ class FieldNode {
   get value() {
     return this.structure.value;
   }
+  get initialValue() {
+    return this.nodeState.initialValue;
+  }
   get keyInParent() {
     return this.structure.keyInParent;
   }
@@ -1405,6 +1953,18 @@ class FieldNode {
   get errorSummary() {
     return this.validationState.errorSummary;
   }
+  get visibleErrors() {
+    return this.validationState.visibleErrors;
+  }
+  get visibleErrorSummary() {
+    return this.validationState.visibleErrorSummary;
+  }
+  get warnings() {
+    return this.validationState.warnings;
+  }
+  get warningSummary() {
+    return this.validationState.warningSummary;
+  }
   get pending() {
     return this.validationState.pending;
   }
@@ -1438,6 +1998,18 @@ class FieldNode {
   get submitting() {
     return this.submitState.submitting;
   }
+  get submitCount() {
+    return this.submitState.submitCount;
+  }
+  get submitted() {
+    return this.submitState.submitted;
+  }
+  get lastSubmitResult() {
+    return this.submitState.lastSubmitResult;
+  }
+  get lastSubmittedAt() {
+    return this.submitState.lastSubmittedAt;
+  }
   get name() {
     return this.nodeState.name;
   }
@@ -1477,6 +2049,7 @@ class FieldNode {
     untracked(() => {
       this.markAsTouchedInternal(options);
       this.flushSync();
+      this.commitNormalizedValue();
     });
   }
   markAsTouchedInternal(options) {
@@ -1503,24 +2076,70 @@ class FieldNode {
   markAsUntouched() {
     this.nodeState.markAsUntouched();
   }
-  reset(value) {
-    untracked(() => this._reset(value));
+  reset(value, options) {
+    untracked(() => {
+      const submissionErrors = options?.keepSubmissionErrors ? collectSubmissionErrors(this, options.onlySelf) : [];
+      if (value === undefined) {
+        if (options?.onlySelf) {
+          applyOwnDefaultValue(this, false);
+        } else {
+          applyDefaultValues(this, false);
+        }
+      }
+      this._reset(value, options);
+      syncDerivedValues(this);
+      for (const [node, errors] of submissionErrors) {
+        node.submitState.submissionErrors.set(errors);
+      }
+      if (!options?.keepDirty) {
+        this.setInitialValue(this.value());
+      }
+    });
+  }
+  resetToDefaults(options) {
+    this.reset(undefined, options);
   }
-  _reset(value) {
+  _reset(value, options) {
     this.pendingSync()?.abort();
     if (value !== undefined) {
       this.value.set(value);
     }
     this.controlValue.rawSet(this.value());
-    this.nodeState.markAsUntouched();
-    this.nodeState.markAsPristine();
+    if (!options?.keepTouched) {
+      this.nodeState.markAsUntouched();
+    }
+    if (!options?.keepDirty) {
+      this.nodeState.markAsPristine();
+      this.nodeState.selfOverridden.set(false);
+    }
+    if (!options?.keepSubmissionErrors) {
+      this.submitState.submissionErrors.set([]);
+    }
+    if (!options?.keepSubmitHistory) {
+      this.submitState.reset();
+    }
     for (const binding of this.formFieldBindings()) {
-      binding.reset();
+      binding.reset(options);
     }
-    for (const child of this.structure.materializedChildren()) {
-      child._reset();
+    if (!options?.onlySelf) {
+      for (const child of this.structure.materializedChildren()) {
+        child._reset(undefined, options);
+      }
     }
   }
+  setInitialValue(value) {
+    const parent = this.structure.parent;
+    if (!parent) {
+      this.nodeState.rootInitialValue.set(value);
+      return;
+    }
+    let parentInitialValue = parent.nodeState.initialValue();
+    if (!isObject(parentInitialValue)) {
+      parentInitialValue = isArray(parent.value()) ? [] : {};
+    }
+    const key = this.nodeState.keyInInitialValue(parentInitialValue) ?? (isArray(parentInitialValue) ? parentInitialValue.length : this.keyInParent());
+    parent.setInitialValue(valueForWrite(parentInitialValue, value, key));
+  }
   reloadValidation() {
     untracked(() => this._reloadValidation());
   }
@@ -1542,18 +2161,33 @@ class FieldNode {
     controlValue.set = newValue => {
       controlValue.rawSet(newValue);
       this.markAsDirty();
+      this.nodeState.selfOverridden.set(true);
       this.debounceSync();
     };
     const rawUpdate = controlValue.update;
     controlValue.update = updateFn => {
       rawUpdate(updateFn);
       this.markAsDirty();
+      this.nodeState.selfOverridden.set(true);
       this.debounceSync();
     };
     return controlValue;
   }
   sync() {
-    this.value.set(this.controlValue());
+    const controlValue = this.controlValue();
+    const value = this.normalize(controlValue);
+    this.value.set(value);
+    if (value !== controlValue) {
+      this.controlValue.rawSet(controlValue);
+    }
+  }
+  normalize(value) {
+    return untracked(this.nodeState.normalizers).reduce((normalized, fn) => fn(normalized), value);
+  }
+  commitNormalizedValue() {
+    if (this.nodeState.normalizers().length > 0) {
+      this.controlValue.rawSet(this.value());
+    }
   }
   flushSync() {
     const pending = this.pendingSync();
@@ -1631,6 +2265,9 @@ class FieldNodeState {
   selfDirty = signal(false, ...(ngDevMode ? [{
     debugName: "selfDirty"
   }] : []));
+  selfOverridden = signal(false, ...(ngDevMode ? [{
+    debugName: "selfOverridden"
+  }] : []));
   markAsTouched() {
     this.selfTouched.set(true);
   }
@@ -1646,11 +2283,51 @@ class FieldNodeState {
   formFieldBindings = signal([], ...(ngDevMode ? [{
     debugName: "formFieldBindings"
   }] : []));
+  rootInitialValue;
   constructor(node) {
     this.node = node;
+    if (!node.structure.parent) {
+      this.rootInitialValue = signal(untracked(node.structure.value), ...(ngDevMode ? [{
+        debugName: "rootInitialValue"
+      }] : []));
+    }
   }
+  initialValue = computed(() => {
+    const parent = this.node.structure.parent;
+    if (!parent) {
+      return this.rootInitialValue();
+    }
+    const parentInitialValue = parent.nodeState.initialValue();
+    const key = this.keyInInitialValue(parentInitialValue);
+    return key === undefined ? undefined : readProperty(parentInitialValue, key);
+  }, ...(ngDevMode ? [{
+    debugName: "initialValue"
+  }] : []));
+  keyInInitialValue(parentInitialValue) {
+    if (!isObject(parentInitialValue)) {
+      return undefined;
+    }
+    const identity = this.node.structure.identityInParent;
+    if (identity !== undefined && isArray(parentInitialValue)) {
+      const parentStructure = this.node.structure.parent.structure;
+      const index = parentInitialValue.findIndex(item => parentStructure.peekTrackingKey(item) === identity);
+      return index === -1 ? undefined : index;
+    }
+    return this.node.structure.keyInParent();
+  }
+  dirtyTracking = computed(() => {
+    if (this.node.logicNode.logic.hasMetadata(DIRTY_TRACKING)) {
+      const mode = this.node.logicNode.logic.getMetadata(DIRTY_TRACKING).compute(this.node.context);
+      if (mode) {
+        return mode;
+      }
+    }
+    return this.node.structure.parent?.nodeState.dirtyTracking() ?? this.node.structure.fieldManager.dirtyTracking ?? 'interaction';
+  }, ...(ngDevMode ? [{
+    debugName: "dirtyTracking"
+  }] : []));
   dirty = computed(() => {
-    const selfDirtyValue = this.selfDirty() && !this.isNonInteractive();
+    const selfDirtyValue = (this.dirtyTracking() === 'value' ? !deepEquals(this.normalizedControlValue(), this.initialValue()) && !this.isDerived() : this.selfDirty()) && !this.isNonInteractive();
     return this.node.structure.reduceChildren(selfDirtyValue, (child, value) => value || child.nodeState.dirty(), shortCircuitTrue);
   }, ...(ngDevMode ? [{
     debugName: "dirty"
@@ -1697,6 +2374,18 @@ class FieldNodeState {
   }, ...(ngDevMode ? [{
     debugName: "debouncer"
   }] : []));
+  normalizers = computed(() => {
+    const logic = this.node.logicNode.logic;
+    return logic.hasMetadata(NORMALIZERS) ? logic.getMetadata(NORMALIZERS).compute(this.node.context) : [];
+  }, ...(ngDevMode ? [{
+    debugName: "normalizers"
+  }] : []));
+  normalizedControlValue = computed(() => this.normalizers().reduce((normalized, fn) => fn(normalized), this.node.controlValue()), ...(ngDevMode ? [{
+    debugName: "normalizedControlValue"
+  }] : []));
+  isDerived = computed(() => this.node.logicNode.logic.hasMetadata(DERIVED_VALUE) && !this.selfOverridden(), ...(ngDevMode ? [{
+    debugName: "isDerived"
+  }] : []));
   isNonInteractive = computed(() => this.hidden() || this.disabled() || this.readonly(), ...(ngDevMode ? [{
     debugName: "isNonInteractive"
   }] : []));
@@ -1731,12 +2420,43 @@ class FormFieldManager {
   injector;
   rootName;
   submitOptions;
-  constructor(injector, rootName, submitOptions) {
+  dirtyTracking;
+  errorSummaryOrder;
+  config;
+  constructor(injector, rootName, submitOptions, dirtyTracking, errorSummaryOrder) {
     this.injector = injector;
     this.rootName = rootName ?? `${this.injector.get(APP_ID)}.form${nextFormId++}`;
     this.submitOptions = submitOptions;
+    this.dirtyTracking = dirtyTracking;
+    this.errorSummaryOrder = errorSummaryOrder;
+    this.config = injector.get(SIGNAL_FORMS_CONFIG, null);
   }
   structures = new Set();
+  derivedNodes = new Set();
+  writingDerivedValues = false;
+  persistence = undefined;
+  writeDerivedValues() {
+    if (this.writingDerivedValues || this.derivedNodes.size === 0) {
+      return;
+    }
+    this.writingDerivedValues = true;
+    try {
+      untracked(() => {
+        let passes = 0;
+        let changed;
+        do {
+          changed = false;
+          for (const node of this.derivedNodes) {
+            if (writeDerivedValue(node)) {
+              changed = true;
+            }
+          }
+        } while (changed && ++passes < this.derivedNodes.size);
+      });
+    } finally {
+      this.writingDerivedValues = false;
+    }
+  }
   createFieldManagementEffect(root) {
     effect(() => {
       const liveStructures = new Set();
@@ -1760,6 +2480,224 @@ class FormFieldManager {
 }
 let nextFormId = 0;
 
+class FormPersistence {
+  root;
+  key;
+  adapter;
+  version;
+  migrate;
+  debounce;
+  hydrated = false;
+  lastSaved;
+  pendingSave = undefined;
+  constructor(root, options, key) {
+    this.root = root;
+    this.key = key;
+    this.adapter = options.adapter;
+    this.version = options.version ?? 0;
+    this.migrate = options.migrate;
+    this.debounce = options.debounce ?? 300;
+  }
+  connect(injector) {
+    const initialValue = untracked(this.root.value);
+    this.lastSaved = initialValue;
+    const hydrate = draft => {
+      try {
+        const value = this.upgrade(draft);
+        if (value !== undefined && Object.is(untracked(this.root.value), initialValue)) {
+          this.lastSaved = value;
+          this.root.value.set(value);
+        }
+      } catch (error) {
+        this.reportFailure('load', error);
+      }
+      this.hydrated = true;
+      this.scheduleSave(untracked(this.root.value));
+    };
+    let draft;
+    try {
+      draft = this.adapter.load(this.key);
+    } catch (error) {
+      this.reportFailure('load', error);
+    }
+    if (typeof draft?.then === 'function') {
+      draft.then(hydrate, error => {
+        this.reportFailure('load', error);
+        hydrate(undefined);
+      });
+    } else {
+      hydrate(draft);
+    }
+    effect(() => {
+      const value = this.root.value();
+      untracked(() => this.scheduleSave(value));
+    }, {
+      injector
+    });
+    injector.get(DestroyRef).onDestroy(() => clearTimeout(this.pendingSave));
+  }
+  upgrade(draft) {
+    if (draft == null) {
+      return undefined;
+    }
+    if (!isObject(draft) || typeof draft.version !== 'number') {
+      this.reportFailure('load', 'the stored value is not a versioned draft');
+      return undefined;
+    }
+    if (draft.version === this.version) {
+      return draft.value;
+    }
+    return this.migrate?.(draft.value, draft.version);
+  }
+  scheduleSave(value) {
+    if (!this.hydrated || Object.is(value, this.lastSaved)) {
+      return;
+    }
+    clearTimeout(this.pendingSave);
+    this.pendingSave = setTimeout(() => {
+      this.pendingSave = undefined;
+      this.lastSaved = value;
+      this.run('save', () => this.adapter.save(this.key, {
+        version: this.version,
+        value
+      }));
+    }, this.debounce);
+  }
+  clear() {
+    clearTimeout(this.pendingSave);
+    this.pendingSave = undefined;
+    this.lastSaved = untracked(this.root.value);
+    this.run('remove', () => this.adapter.remove(this.key));
+  }
+  run(action, operation) {
+    Promise.resolve().then(operation).catch(error => this.reportFailure(action, error));
+  }
+  reportFailure(action, error) {
+    if (typeof ngDevMode !== 'undefined' && ngDevMode) {
+      console.warn(_formatRuntimeError(1924, `Failed to ${action} the persisted form draft "${this.key}": ${String(error)}`));
+    }
+  }
+}
+
+class FormHistory {
+  node;
+  maxSize;
+  current;
+  past = signal([], ...(ngDevMode ? [{
+    debugName: "past"
+  }] : []));
+  future = signal([], ...(ngDevMode ? [{
+    debugName: "future"
+  }] : []));
+  writeTracker;
+  constructor(node, options) {
+    this.node = node;
+    this.maxSize = options?.maxSize ?? Infinity;
+    this.current = signal(untracked(() => captureHistoryEntry(node)), ...(ngDevMode ? [{
+      debugName: "current"
+    }] : []));
+    this.writeTracker = effect(() => {
+      node.value();
+      this.record();
+    }, {
+      injector: node.structure.injector
+    });
+  }
+  hasUnrecordedWrite = computed(() => !this.node.structure.isOrphaned() && !Object.is(this.node.value(), this.current().value), ...(ngDevMode ? [{
+    debugName: "hasUnrecordedWrite"
+  }] : []));
+  canUndo = computed(() => this.past().length > 0 || this.hasUnrecordedWrite(), ...(ngDevMode ? [{
+    debugName: "canUndo"
+  }] : []));
+  canRedo = computed(() => this.future().length > 0 && !this.hasUnrecordedWrite(), ...(ngDevMode ? [{
+    debugName: "canRedo"
+  }] : []));
+  record() {
+    untracked(() => {
+      if (this.node.structure.isOrphaned()) {
+        return;
+      }
+      const entry = captureHistoryEntry(this.node);
+      if (!Object.is(entry.value, this.current().value)) {
+        this.past.update(past => [...past, this.current()].slice(-this.maxSize));
+        this.future.set([]);
+      }
+      this.current.set(entry);
+    });
+  }
+  undo() {
+    return untracked(() => this.step(this.past, this.future));
+  }
+  redo() {
+    return untracked(() => this.step(this.future, this.past));
+  }
+  clear() {
+    untracked(() => {
+      this.past.set([]);
+      this.future.set([]);
+      if (!this.node.structure.isOrphaned()) {
+        this.current.set(captureHistoryEntry(this.node));
+      }
+    });
+  }
+  destroy() {
+    this.writeTracker.destroy();
+    this.past.set([]);
+    this.future.set([]);
+  }
+  step(from, to) {
+    if (this.node.structure.isOrphaned()) {
+      return false;
+    }
+    flushPendingSyncs(this.node);
+    this.record();
+    const entries = from();
+    if (entries.length === 0) {
+      return false;
+    }
+    const entry = entries[entries.length - 1];
+    from.set(entries.slice(0, -1));
+    to.update(stack => [...stack, captureHistoryEntry(this.node)]);
+    this.node.value.set(entry.value);
+    restoreDirtyState(this.node, entry.dirty);
+    this.current.set(entry);
+    return true;
+  }
+}
+function captureHistoryEntry(node) {
+  return {
+    value: node.value(),
+    dirty: captureDirtyState(node)
+  };
+}
+function captureDirtyState(node) {
+  const children = new Map();
+  for (const [key, child] of node.structure.childrenMap()?.byPropertyKey ?? []) {
+    children.set(child.node.structure.identityInParent ?? key, captureDirtyState(child.node));
+  }
+  return {
+    dirty: node.nodeState.selfDirty(),
+    children
+  };
+}
+function restoreDirtyState(node, state) {
+  if (state?.dirty) {
+    node.nodeState.markAsDirty();
+  } else {
+    node.nodeState.markAsPristine();
+  }
+  for (const [key, child] of node.structure.childrenMap()?.byPropertyKey ?? []) {
+    restoreDirtyState(child.node, state?.children.get(child.node.structure.identityInParent ?? key));
+  }
+}
+function flushPendingSyncs(node) {
+  node.flushSync();
+  for (const child of node.structure.materializedChildren()) {
+    flushPendingSyncs(child);
+  }
+}
+
+const SIGNAL_FORMS_CONFIG = new InjectionToken(typeof ngDevMode !== 'undefined' && ngDevMode ? 'SIGNAL_FORMS_CONFIG' : '');
 const REGISTER_WEBMCP_FORM = new InjectionToken(typeof ngDevMode !== 'undefined' && ngDevMode ? 'REGISTER_WEBMCP_FORM' : '');
 
 function normalizeFormArgs(args) {
@@ -1784,13 +2722,29 @@ function form(...args) {
   const [model, schema, options] = normalizeFormArgs(args);
   const injector = options?.injector ?? inject(Injector);
   const pathNode = runInInjectionContext(injector, () => SchemaImpl.rootCompile(schema));
-  const fieldManager = new FormFieldManager(injector, options?.name, options?.submission);
+  const fieldManager = new FormFieldManager(injector, options?.name, options?.submission, options?.dirtyTracking, options?.errorSummaryOrder);
   const adapter = options?.adapter ?? new BasicFieldAdapter();
   const fieldRoot = FieldNode.newRoot(fieldManager, model, pathNode, adapter);
   fieldManager.createFieldManagementEffect(fieldRoot.structure);
+  untracked(() => {
+    const initialModel = model();
+    syncDerivedValues(fieldRoot);
+    if (model() !== initialModel) {
+      fieldRoot.setInitialValue(model());
+    }
+  });
   const {
-    experimentalWebMcpTool
+    experimentalWebMcpTool,
+    persistence
   } = options ?? {};
+  if (persistence) {
+    const key = persistence.key ?? options.name;
+    if (key === undefined) {
+      throw new _RuntimeError(1922, ngDevMode && 'A form with `persistence` needs a `name` or a `persistence.key` to store its draft under.');
+    }
+    fieldManager.persistence = new FormPersistence(fieldRoot, persistence, key);
+    fieldManager.persistence.connect(injector);
+  }
   if (experimentalWebMcpTool) {
     const registerWebMcpForm = runInInjectionContext(injector, () => inject(REGISTER_WEBMCP_FORM, {
       optional: true
@@ -1808,10 +2762,13 @@ function form(...args) {
   }
   return fieldRoot.fieldTree;
 }
-function applyEach(path, schema) {
+function applyEach(path, schema, options) {
   assertPathIsCurrent(path);
-  const elementPath = FieldPathNode.unwrapFieldPath(path).getChild(DYNAMIC).fieldPathProxy;
-  apply(elementPath, schema);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  if (options?.trackBy) {
+    pathNode.builder.addMetadataRule(TRACK_BY, () => options.trackBy);
+  }
+  apply(pathNode.getChild(DYNAMIC).fieldPathProxy, schema);
 }
 function apply(path, schema) {
   assertPathIsCurrent(path);
@@ -1833,9 +2790,6 @@ function applyWhenValue(path, predicate, schema) {
 }
 async function submit(form, options) {
   const node = untracked(form);
-  if (untracked(node.submitState.submitting)) {
-    return false;
-  }
   const field = options === undefined ? node.structure.root.fieldProxy : form;
   const detail = {
     root: node.structure.root.fieldProxy,
@@ -1844,6 +2798,20 @@ async function submit(form, options) {
   options = typeof options === 'function' ? {
     action: options
   } : options ?? node.structure.fieldManager.submitOptions;
+  const concurrency = options?.concurrency ?? 'ignore';
+  if (concurrency === 'ignore') {
+    if (untracked(node.submitState.submitting)) {
+      return false;
+    }
+  } else if (concurrency === 'cancelPrevious') {
+    for (let active = findActiveSubmission(node); active; active = findActiveSubmission(node)) {
+      active.cancel();
+    }
+  } else {
+    for (let active = findActiveSubmission(node); active; active = findActiveSubmission(node)) {
+      await active.settled;
+    }
+  }
   const action = options?.action;
   if (!action) {
     throw new _RuntimeError(1915, (typeof ngDevMode === 'undefined' || ngDevMode) && 'Cannot submit form with no submit action. Specify the action when creating the form, or as an additional argument to `submit()`.');
@@ -1851,20 +2819,316 @@ async function submit(form, options) {
   node.markAsTouched();
   const onInvalid = options?.onInvalid;
   const shouldRun = shouldRunAction(node, options?.ignoreValidators);
+  let result = 'error';
+  let submission;
   try {
     if (shouldRun) {
-      node.submitState.selfSubmitting.set(true);
-      const errors = await untracked(() => action?.(field, detail));
+      submission = node.submitState.startSubmission();
+      const signal = submission.signal;
+      const errors = await untracked(() => action?.(field, {
+        ...detail,
+        signal
+      }));
+      if (signal.aborted) {
+        return false;
+      }
       errors && setSubmissionErrors(node, errors);
-      return !errors || isArray(errors) && errors.length === 0;
+      const succeeded = !errors || isArray(errors) && errors.length === 0;
+      result = succeeded ? 'success' : 'error';
+      if (succeeded && node === node.structure.root) {
+        node.structure.fieldManager.persistence?.clear();
+      }
+      if (!succeeded) {
+        focusFirstInvalidControl(node, options?.focusOnInvalid);
+      }
+      return succeeded;
     } else {
+      result = 'invalid';
       untracked(() => onInvalid?.(field, detail));
+      focusFirstInvalidControl(node, options?.focusOnInvalid);
     }
     return false;
+  } catch (e) {
+    if (submission?.signal.aborted) {
+      return false;
+    }
+    throw e;
   } finally {
-    node.submitState.selfSubmitting.set(false);
+    if (!submission?.signal.aborted) {
+      submission?.end();
+      node.submitState.recordSubmission(result);
+    }
   }
 }
+function focusFirstInvalidControl(node, focusOnInvalid) {
+  if (typeof ngServerMode !== 'undefined' && ngServerMode) {
+    return;
+  }
+  focusOnInvalid ??= node.structure.fieldManager.config?.focusOnInvalid;
+  if (!focusOnInvalid) {
+    return;
+  }
+  const binding = untracked(() => node.errorSummary().flatMap(error => error.formField ? [error.formField] : error.fieldTree().formFieldBindings()).reduce(firstInDom, undefined));
+  if (!binding) {
+    return;
+  }
+  const {
+    scrollOffset,
+    scrollBehavior
+  } = focusOnInvalid === true ? {} : focusOnInvalid;
+  const element = binding.element;
+  binding.focus({
+    preventScroll: true
+  });
+  const activeElement = element.ownerDocument.activeElement;
+  if (activeElement !== element && !element.contains(activeElement)) {
+    element.querySelector(FOCUSABLE_SELECTOR)?.focus({
+      preventScroll: true
+    });
+  }
+  if (scrollOffset) {
+    setScrollMarginUntilScrollEnd(element, scrollOffset);
+  }
+  element.scrollIntoView({
+    block: 'start',
+    behavior: scrollBehavior
+  });
+}
+const FOCUSABLE_SELECTOR = 'input:not([type="hidden"]):not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), a[href], [contenteditable]:not([contenteditable="false"]), [tabindex]:not([tabindex="-1"])';
+const SCROLL_MARGIN_RESET_TIMEOUT = 1000;
+const scrollMarginResets = new WeakMap();
+function setScrollMarginUntilScrollEnd(element, scrollOffset) {
+  scrollMarginResets.get(element)?.();
+  const document = element.ownerDocument;
+  const previousScrollMargin = element.style.scrollMarginTop;
+  let timeout;
+  const restore = () => {
+    clearTimeout(timeout);
+    document.removeEventListener('scrollend', restore, true);
+    scrollMarginResets.delete(element);
+    element.style.scrollMarginTop = previousScrollMargin;
+  };
+  element.style.scrollMarginTop = `${scrollOffset}px`;
+  document.addEventListener('scrollend', restore, true);
+  scrollMarginResets.set(element, restore);
+  timeout = setTimeout(restore, SCROLL_MARGIN_RESET_TIMEOUT);
+}
+function cancelSubmit(form) {
+  const node = untracked(form);
+  let cancelled = false;
+  for (let submission = findActiveSubmission(node); submission; submission = findActiveSubmission(node)) {
+    submission.cancel();
+    cancelled = true;
+  }
+  return cancelled;
+}
+function formHistory(field, options) {
+  const node = untracked(field);
+  const history = new FormHistory(node, options);
+  node.structure.fieldManager.injector.get(DestroyRef).onDestroy(() => history.destroy());
+  return history;
+}
+function createFormSnapshot(field) {
+  return untracked(() => {
+    const node = field();
+    return {
+      value: node.value(),
+      state: captureNodeSnapshot(node)
+    };
+  });
+}
+function restoreFormSnapshot(field, snapshot) {
+  untracked(() => {
+    const node = field();
+    node.value.set(snapshot.value);
+    restoreNodeSnapshot(node, snapshot.state);
+  });
+}
+function captureNodeSnapshot(node) {
+  const state = {
+    touched: node.nodeState.selfTouched(),
+    dirty: node.nodeState.selfDirty()
+  };
+  const submissionErrors = node.submitState.submissionErrors();
+  if (submissionErrors.length > 0) {
+    state.submissionErrors = submissionErrors.map(({
+      fieldTree,
+      ...error
+    }) => error);
+  }
+  for (const [key, child] of node.structure.childrenMap()?.byPropertyKey ?? []) {
+    state.children ??= {};
+    state.children[key] = captureNodeSnapshot(child.node);
+  }
+  return state;
+}
+function restoreNodeSnapshot(node, state) {
+  node.pendingSync()?.abort();
+  node.controlValue.rawSet(node.value());
+  if (state?.touched) {
+    node.nodeState.markAsTouched();
+  } else {
+    node.nodeState.markAsUntouched();
+  }
+  if (state?.dirty) {
+    node.nodeState.markAsDirty();
+  } else {
+    node.nodeState.markAsPristine();
+  }
+  node.submitState.submissionErrors.set((state?.submissionErrors ?? []).map(error => addDefaultField({
+    ...error
+  }, node.fieldTree)));
+  for (const key of Object.keys(state?.children ?? {})) {
+    node.structure.getChild(key);
+  }
+  for (const [key, child] of node.structure.childrenMap()?.byPropertyKey ?? []) {
+    restoreNodeSnapshot(child.node, state?.children?.[key]);
+  }
+}
+function dirtyValue(field) {
+  return extractDirtyValue(field());
+}
+function extractDirtyValue(node) {
+  if (!node.dirty()) {
+    return undefined;
+  }
+  const value = node.value();
+  if (!isKeyedValue(value)) {
+    return value;
+  }
+  const result = isMap(value) ? new Map() : {};
+  let hasDirtyChild = false;
+  for (const key of propertyKeys(value)) {
+    const child = node.structure.getChild(key);
+    if (child?.dirty()) {
+      const childValue = extractDirtyValue(child);
+      if (isMap(result)) {
+        result.set(key, childValue);
+      } else {
+        result[key] = childValue;
+      }
+      hasDirtyChild = true;
+    }
+  }
+  return hasDirtyChild ? result : value;
+}
+function dirtyPatch(field) {
+  const node = field();
+  const operations = [];
+  diffValues(node, node.initialValue(), node.value(), '', operations);
+  return operations;
+}
+function diffValues(node, initial, current, path, operations) {
+  if (deepEquals(initial, current)) {
+    return;
+  }
+  if (isArray(initial) && isArray(current)) {
+    diffArrays(node, initial, current, path, operations);
+  } else if (isKeyedValue(initial) && isKeyedValue(current) && isMap(initial) === isMap(current)) {
+    for (const key of propertyKeys(initial)) {
+      if (readProperty(current, key) === undefined && readProperty(initial, key) !== undefined) {
+        operations.push({
+          op: 'remove',
+          path: `${path}/${escapePointerSegment(key)}`
+        });
+      }
+    }
+    for (const key of propertyKeys(current)) {
+      const currentValue = readProperty(current, key);
+      if (currentValue === undefined) {
+        continue;
+      }
+      const childPath = `${path}/${escapePointerSegment(key)}`;
+      const initialValue = readProperty(initial, key);
+      if (initialValue === undefined) {
+        operations.push({
+          op: 'add',
+          path: childPath,
+          value: currentValue
+        });
+      } else {
+        diffValues(node?.structure.getChild(key), initialValue, currentValue, childPath, operations);
+      }
+    }
+  } else {
+    operations.push({
+      op: 'replace',
+      path,
+      value: current
+    });
+  }
+}
+function diffArrays(node, initial, current, path, operations) {
+  node?.structure.ensureChildrenMap();
+  const identityOf = item => node?.structure.peekTrackingKey(item);
+  const isTracked = item => identityOf(item) !== undefined;
+  if (!initial.some(isTracked) && !current.some(isTracked)) {
+    const common = Math.min(initial.length, current.length);
+    for (let i = 0; i < common; i++) {
+      diffValues(node?.structure.getChild(i), initial[i], current[i], `${path}/${i}`, operations);
+    }
+    for (let i = initial.length - 1; i >= common; i--) {
+      operations.push({
+        op: 'remove',
+        path: `${path}/${i}`
+      });
+    }
+    for (let i = common; i < current.length; i++) {
+      operations.push({
+        op: 'add',
+        path: `${path}/-`,
+        value: current[i]
+      });
+    }
+    return;
+  }
+  const currentIdentities = new Set(current.map(identityOf));
+  const working = [...initial];
+  for (let i = working.length - 1; i >= 0; i--) {
+    const identity = identityOf(working[i]);
+    if (identity === undefined || !currentIdentities.has(identity)) {
+      working.splice(i, 1);
+      operations.push({
+        op: 'remove',
+        path: `${path}/${i}`
+      });
+    }
+  }
+  for (let i = 0; i < current.length; i++) {
+    const identity = identityOf(current[i]);
+    const from = identity === undefined ? -1 : working.findIndex((item, index) => index >= i && identityOf(item) === identity);
+    if (from === -1) {
+      working.splice(i, 0, current[i]);
+      operations.push({
+        op: 'add',
+        path: `${path}/${i}`,
+        value: current[i]
+      });
+      continue;
+    }
+    if (from !== i) {
+      working.splice(i, 0, ...working.splice(from, 1));
+      operations.push({
+        op: 'move',
+        from: `${path}/${from}`,
+        path: `${path}/${i}`
+      });
+    }
+    diffValues(node?.structure.getChild(i), working[i], current[i], `${path}/${i}`, operations);
+  }
+  for (let i = working.length - 1; i >= current.length; i--) {
+    operations.push({
+      op: 'remove',
+      path: `${path}/${i}`
+    });
+  }
+}
+function isKeyedValue(value) {
+  return isObject(value) && !isArray(value) && !isSet(value) && !(value instanceof Date);
+}
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
 function schema(fn) {
   return SchemaImpl.create(fn);
 }
@@ -1949,5 +3213,5 @@ function extractNestedReactiveErrors(control) {
   return errors;
 }
 
-export { BasicFieldAdapter, CompatValidationError, DEBOUNCER, FIELD_TREE, FieldNode, FieldNodeState, FieldNodeStructure, FieldPathNode, IS_ASYNC_VALIDATION_RESOURCE, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MetadataKey, MetadataReducer, PATTERN, REGISTER_WEBMCP_FORM, REQUIRED, addDefaultField, apply, applyEach, applyWhen, applyWhenValue, assertPathIsCurrent, calculateValidationSelfStatus, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, extractNestedReactiveErrors, form, getInjectorFromOptions, isArray, isObject, metadata, normalizeFormArgs, reactiveErrorsToSignalErrors, schema, shallowArrayEquals, signalErrorsToValidationErrors, submit };
+export { BasicFieldAdapter, CompatValidationError, DEBOUNCER, DEFAULT_VALUE, DERIVED_VALUE, DIRTY_TRACKING, ERROR_VISIBILITY, FIELD_TREE, FieldNode, FieldNodeState, FieldNodeStructure, FieldPathNode, IS_ASYNC_VALIDATION_RESOURCE, LABEL, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MetadataKey, MetadataReducer, NORMALIZERS, PATTERN, REGISTER_WEBMCP_FORM, REQUIRED, SIGNAL_FORMS_CONFIG, TRACK_BY, addDefaultField, apply, applyEach, applyWhen, applyWhenValue, areErrorsVisible, assertPathIsCurrent, calculateValidationSelfStatus, cancelSubmit, createFormSnapshot, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, dirtyPatch, dirtyValue, extractNestedReactiveErrors, form, formHistory, getInjectorFromOptions, isArray, isObject, metadata, normalizeFormArgs, reactiveErrorsToSignalErrors, restoreFormSnapshot, schema, shallowArrayEquals, signalErrorsToValidationErrors, submit };
 //# sourceMappingURL=_validation_errors-chunk.mjs.map
@@ -4,7 +4,7 @@
  * License: MIT
  */
 
-import { FieldNode, getInjectorFromOptions, FieldNodeState, FieldNodeStructure, calculateValidationSelfStatus, extractNestedReactiveErrors, BasicFieldAdapter, normalizeFormArgs, form, isArray, isObject, signalErrorsToValidationErrors } from './_validation_errors-chunk.mjs';
+import { FieldNode, getInjectorFromOptions, FieldNodeState, FieldNodeStructure, calculateValidationSelfStatus, extractNestedReactiveErrors, BasicFieldAdapter, normalizeFormArgs, form, isArray, isObject, signalErrorsToValidationErrors, ERROR_VISIBILITY, areErrorsVisible } from './_validation_errors-chunk.mjs';
 export { CompatValidationError } from './_validation_errors-chunk.mjs';
 import { linkedSignal, untracked, runInInjectionContext, computed, signal, ɵRuntimeError as _RuntimeError, EventEmitter, inject, Injector, effect } from '@angular/core';
 import { AbstractControl, ValueChangeEvent, StatusChangeEvent, TouchedChangeEvent, PristineChangeEvent, FormResetEvent } from '@angular/forms';
@@ -184,6 +184,24 @@ class CompatValidationState {
   rawSyncTreeErrors = EMPTY_ARRAY_SIGNAL;
   syncErrors = EMPTY_ARRAY_SIGNAL;
   rawAsyncErrors = EMPTY_ARRAY_SIGNAL;
+  visibleErrorSummary = EMPTY_ARRAY_SIGNAL;
+  warnings = EMPTY_ARRAY_SIGNAL;
+  warningSummary = EMPTY_ARRAY_SIGNAL;
+  errorVisibility = computed(() => {
+    const logic = this.node.logicNode.logic;
+    if (logic.hasMetadata(ERROR_VISIBILITY)) {
+      return logic.getMetadata(ERROR_VISIBILITY).compute(this.node.context);
+    }
+    return this.node.structure.parent ? this.node.structure.parent.validationState.errorVisibility() : this.node.structure.fieldManager.config?.errorVisibility;
+  }, ...(ngDevMode ? [{
+    debugName: "errorVisibility"
+  }] : []));
+  errorsVisible = computed(() => areErrorsVisible(this.node, this.errorVisibility()), ...(ngDevMode ? [{
+    debugName: "errorsVisible"
+  }] : []));
+  visibleErrors = computed(() => this.errorsVisible() ? this.errors() : [], ...(ngDevMode ? [{
+    debugName: "visibleErrors"
+  }] : []));
   shouldSkipValidation = computed(() => this.node.hidden() || this.node.disabled() || this.node.readonly(), ...(ngDevMode ? [{
     debugName: "shouldSkipValidation"
   }] : []));
@@ -342,11 +360,12 @@ const NG_STATUS_CLASSES = {
     state
   }) => !state().dirty(),
   'ng-valid': ({
-    state
-  }) => state().valid(),
+    state,
+    visibleErrors
+  }) => !state().pending() && visibleErrors().length === 0,
   'ng-invalid': ({
-    state
-  }) => state().invalid(),
+    visibleErrors
+  }) => visibleErrors().length > 0,
   'ng-pending': ({
     state
   }) => state().pending()
@@ -5,20 +5,18 @@
  */
 
 import * as i0 from '@angular/core';
-import { InjectionToken, debounced, computed, ɵchain as _chain, resource, ɵisPromise as _isPromise, linkedSignal, inject, ɵRuntimeError as _RuntimeError, ɵformatRuntimeError as _formatRuntimeError, untracked, signal, CSP_NONCE, Injectable, forwardRef, input, Renderer2, DestroyRef, Injector, ElementRef, afterRenderEffect, effect, Directive, makeEnvironmentProviders, declareExperimentalWebMcpTool } from '@angular/core';
+import { InjectionToken, debounced, computed, ɵchain as _chain, resource, ɵisPromise as _isPromise, ɵisSubscribable as _isSubscribable, linkedSignal, inject, ɵRuntimeError as _RuntimeError, ɵformatRuntimeError as _formatRuntimeError, untracked, signal, CSP_NONCE, Injectable, forwardRef, input, Renderer2, DestroyRef, Injector, ElementRef, afterRenderEffect, effect, Directive, makeEnvironmentProviders, declareExperimentalWebMcpTool } from '@angular/core';
 import { ɵFORM_CONTROL_INTEGRATION as _FORM_CONTROL_INTEGRATION, Validators, ɵsetNativeDomProperty as _setNativeDomProperty, NG_VALIDATORS, ɵisNativeFormElement as _isNativeFormElement, ɵisTextualFormElement as _isTextualFormElement, NG_VALUE_ACCESSOR, ɵselectValueAccessor as _selectValueAccessor, ɵelementAcceptsMinMax as _elementAcceptsMinMax, NgControl } from '@angular/forms';
-import { FIELD_TREE, assertPathIsCurrent, FieldPathNode, addDefaultField, createMetadataKey, metadata, MAX_NUMBER, MAX, MAX_DATE, MAX_LENGTH, MIN_NUMBER, MIN, MIN_DATE, MIN_LENGTH, PATTERN, REQUIRED, createManagedMetadataKey, IS_ASYNC_VALIDATION_RESOURCE, DEBOUNCER, shallowArrayEquals, signalErrorsToValidationErrors, reactiveErrorsToSignalErrors, submit, REGISTER_WEBMCP_FORM } from './_validation_errors-chunk.mjs';
-export { MetadataKey, MetadataReducer, apply, applyEach, applyWhen, applyWhenValue, createLimitSelectionKey, form, schema } from './_validation_errors-chunk.mjs';
+import { FIELD_TREE, assertPathIsCurrent, FieldPathNode, addDefaultField, createMetadataKey, metadata, LABEL, MAX_NUMBER, MAX, MAX_DATE, MAX_LENGTH, MIN_NUMBER, MIN, MIN_DATE, MIN_LENGTH, PATTERN, REQUIRED, createManagedMetadataKey, IS_ASYNC_VALIDATION_RESOURCE, DEBOUNCER, DIRTY_TRACKING, TRACK_BY, DERIVED_VALUE, NORMALIZERS, DEFAULT_VALUE, ERROR_VISIBILITY, shallowArrayEquals, isObject, signalErrorsToValidationErrors, reactiveErrorsToSignalErrors, submit, REGISTER_WEBMCP_FORM, SIGNAL_FORMS_CONFIG } from './_validation_errors-chunk.mjs';
+export { MetadataKey, MetadataReducer, apply, applyEach, applyWhen, applyWhenValue, cancelSubmit, createFormSnapshot, createLimitSelectionKey, dirtyPatch, dirtyValue, form, formHistory, restoreFormSnapshot, schema } from './_validation_errors-chunk.mjs';
 import { DOCUMENT } from '@angular/common';
-import { httpResource } from '@angular/common/http';
+import { httpResource, HttpClient } from '@angular/common/http';
 import '@angular/core/primitives/signals';
 
 function isFieldTree(value) {
   return typeof value === 'function' && value[FIELD_TREE] === true;
 }
 
-const SIGNAL_FORMS_CONFIG = new InjectionToken(typeof ngDevMode !== 'undefined' && ngDevMode ? 'SIGNAL_FORMS_CONFIG' : '');
-
 function provideSignalFormsConfig(config) {
   return [{
     provide: SIGNAL_FORMS_CONFIG,
@@ -106,6 +104,14 @@ function validate(path, logic) {
   });
 }
 
+function warn(path, logic) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addSyncWarningRule(ctx => {
+    return addDefaultField(logic(ctx), ctx.fieldTree);
+  });
+}
+
 function requiredError(options) {
   return new RequiredValidationError(options);
 }
@@ -133,6 +139,24 @@ function patternError(pattern, options) {
 function emailError(options) {
   return new EmailValidationError(options);
 }
+function matchesFieldError(otherField, options) {
+  return new MatchesFieldValidationError(otherField, options);
+}
+function requiredOneOfError(fields, options) {
+  return new RequiredOneOfValidationError(fields, options);
+}
+function dateRangeOrderError(start, end, options) {
+  return new DateRangeOrderValidationError(start, end, options);
+}
+function sumEqualsError(sum, total, fields, options) {
+  return new SumEqualsValidationError(sum, total, fields, options);
+}
+function uniqueError(key, options) {
+  return new UniqueValidationError(key, options);
+}
+function timeoutError(timeout, options) {
+  return new TimeoutValidationError(timeout, options);
+}
 class BaseNgValidationError {
   __brand = undefined;
   kind = '';
@@ -209,6 +233,60 @@ class EmailValidationError extends BaseNgValidationError {
 class NativeInputParseError extends BaseNgValidationError {
   kind = 'parse';
 }
+class MatchesFieldValidationError extends BaseNgValidationError {
+  otherField;
+  kind = 'matchesField';
+  constructor(otherField, options) {
+    super(options);
+    this.otherField = otherField;
+  }
+}
+class RequiredOneOfValidationError extends BaseNgValidationError {
+  fields;
+  kind = 'requiredOneOf';
+  constructor(fields, options) {
+    super(options);
+    this.fields = fields;
+  }
+}
+class DateRangeOrderValidationError extends BaseNgValidationError {
+  start;
+  end;
+  kind = 'dateRangeOrder';
+  constructor(start, end, options) {
+    super(options);
+    this.start = start;
+    this.end = end;
+  }
+}
+class SumEqualsValidationError extends BaseNgValidationError {
+  sum;
+  total;
+  fields;
+  kind = 'sumEquals';
+  constructor(sum, total, fields, options) {
+    super(options);
+    this.sum = sum;
+    this.total = total;
+    this.fields = fields;
+  }
+}
+class TimeoutValidationError extends BaseNgValidationError {
+  timeout;
+  kind = 'timeout';
+  constructor(timeout, options) {
+    super(options);
+    this.timeout = timeout;
+  }
+}
+class UniqueValidationError extends BaseNgValidationError {
+  key;
+  kind = 'unique';
+  constructor(key, options) {
+    super(options);
+    this.key = key;
+  }
+}
 const NgValidationError = BaseNgValidationError;
 
 const EMAIL_REGEXP = /^(?=.{1,254}$)(?=.{1,64}@)[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
@@ -481,21 +559,246 @@ function required(path, config) {
   });
 }
 
+function matchesField(path, otherPath, config) {
+  validate(path, ctx => {
+    if (config?.when && !config.when(ctx)) {
+      return undefined;
+    }
+    if (isEmpty(ctx.value())) {
+      return undefined;
+    }
+    if (ctx.value() !== ctx.valueOf(otherPath)) {
+      if (config?.error) {
+        return getOption(config.error, ctx);
+      } else {
+        return matchesFieldError(ctx.fieldTreeOf(otherPath), {
+          message: getOption(config?.message, ctx)
+        });
+      }
+    }
+    return undefined;
+  });
+}
+function requiredIf(path, predicate, config) {
+  required(path, {
+    ...config,
+    when: ctx => predicate(ctx) && (!config?.when || config.when(ctx))
+  });
+}
+function requiredOneOf(paths, config) {
+  if (paths.length === 0) {
+    return;
+  }
+  validate(paths[0], ctx => {
+    if (config?.when && !config.when(ctx)) {
+      return undefined;
+    }
+    if (paths.some(p => !isEmpty(ctx.valueOf(p)))) {
+      return undefined;
+    }
+    if (config?.error) {
+      return getOption(config.error, ctx);
+    } else {
+      return requiredOneOfError(paths.map(p => ctx.fieldTreeOf(p)), {
+        message: getOption(config?.message, ctx)
+      });
+    }
+  });
+}
+function dateRangeOrder(startPath, endPath, config) {
+  validate(endPath, ctx => {
+    if (config?.when && !config.when(ctx)) {
+      return undefined;
+    }
+    const start = ctx.valueOf(startPath);
+    const end = ctx.value();
+    if (start == null || end == null || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return undefined;
+    }
+    if (end < start || end.getTime() === start.getTime() && config?.allowEqual === false) {
+      if (config?.error) {
+        return getOption(config.error, ctx);
+      } else {
+        return dateRangeOrderError(start, end, {
+          message: getOption(config?.message, ctx)
+        });
+      }
+    }
+    return undefined;
+  });
+}
+const SUM_TOLERANCE = 1e-9;
+function sumEquals(paths, total, config) {
+  if (paths.length === 0) {
+    return;
+  }
+  validate(paths[0], ctx => {
+    if (config?.when && !config.when(ctx)) {
+      return undefined;
+    }
+    const expected = typeof total === 'function' ? total(ctx) : total;
+    if (expected === undefined || Number.isNaN(expected)) {
+      return undefined;
+    }
+    const sum = paths.reduce((acc, p) => {
+      const value = ctx.valueOf(p);
+      return isEmpty(value) ? acc : acc + value;
+    }, 0);
+    if (Math.abs(sum - expected) > SUM_TOLERANCE) {
+      if (config?.error) {
+        return getOption(config.error, ctx);
+      } else {
+        return sumEqualsError(sum, expected, paths.map(p => ctx.fieldTreeOf(p)), {
+          message: getOption(config?.message, ctx)
+        });
+      }
+    }
+    return undefined;
+  });
+}
+
+function unique(path, config) {
+  validateTree(path, ctx => {
+    if (config?.when && !config.when(ctx)) {
+      return undefined;
+    }
+    const indicesByKey = new Map();
+    ctx.value().forEach((item, index) => {
+      const key = config?.by ? config.by(item) : item;
+      if (key === undefined || key === null || key === '') {
+        return;
+      }
+      indicesByKey.set(key, [...(indicesByKey.get(key) ?? []), index]);
+    });
+    const message = getOption(config?.message, ctx);
+    const errors = [];
+    for (const [key, indices] of indicesByKey) {
+      if (indices.length < 2) {
+        continue;
+      }
+      for (const index of indices) {
+        errors.push(uniqueError(key, {
+          fieldTree: ctx.fieldTree[index],
+          message
+        }));
+      }
+      if (config?.reportOnArray) {
+        errors.push(uniqueError(key, {
+          fieldTree: ctx.fieldTree,
+          message
+        }));
+      }
+    }
+    return errors;
+  });
+}
+
 function validateAsync(path, opts) {
+  addAsyncRule(path, opts, (builder, logic) => builder.addAsyncErrorRule(logic));
+}
+function warnAsync(path, opts) {
+  addAsyncRule(path, opts, (builder, logic) => builder.addAsyncWarningRule(logic));
+}
+class AsyncValidationCache {
+  ttl;
+  maxSize;
+  entries = new Map();
+  expiryTimeout = undefined;
+  constructor(options) {
+    this.ttl = options?.ttl ?? 300_000;
+    this.maxSize = options?.maxSize ?? 100;
+  }
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined || !entry.live()) {
+      return undefined;
+    }
+    return entry.expiresAt > Date.now() ? entry.value : undefined;
+  }
+  set(key, value) {
+    this.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + this.ttl,
+      live: signal(true, ...(ngDevMode ? [{
+        debugName: "live"
+      }] : []))
+    });
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxSize) {
+        break;
+      }
+      this.delete(oldest);
+    }
+    this.expiryTimeout ??= setTimeout(() => this.expire(), this.ttl);
+  }
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      this.entries.delete(key);
+      entry.live.set(false);
+    }
+  }
+  clear() {
+    clearTimeout(this.expiryTimeout);
+    this.expiryTimeout = undefined;
+    for (const key of [...this.entries.keys()]) {
+      this.delete(key);
+    }
+  }
+  expire() {
+    this.expiryTimeout = undefined;
+    const now = Date.now();
+    let nextExpiry = Infinity;
+    for (const [key, entry] of [...this.entries]) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+      } else {
+        nextExpiry = Math.min(nextExpiry, entry.expiresAt);
+      }
+    }
+    if (nextExpiry !== Infinity) {
+      this.expiryTimeout = setTimeout(() => this.expire(), nextExpiry - now);
+    }
+  }
+}
+const ASYNC_VALIDATION_CACHE = new InjectionToken(typeof ngDevMode !== 'undefined' && ngDevMode ? 'ASYNC_VALIDATION_CACHE' : '', {
+  providedIn: 'root',
+  factory: () => injectAsyncValidationCache()
+});
+function provideAsyncValidationCache(options) {
+  return [{
+    provide: ASYNC_VALIDATION_CACHE,
+    useFactory: () => injectAsyncValidationCache(options)
+  }];
+}
+function injectAsyncValidationCache(options) {
+  const cache = new AsyncValidationCache(options);
+  inject(DestroyRef).onDestroy(() => cache.clear());
+  return cache;
+}
+const cacheSchemaIds = new WeakMap();
+const cachedRuleCounts = new WeakMap();
+let nextCacheSchemaId = 0;
+function defaultCacheNamespace(pathNode) {
+  const schemaFn = pathNode.root.schemaFn;
+  let schemaId = cacheSchemaIds.get(schemaFn);
+  if (schemaId === undefined) {
+    schemaId = nextCacheSchemaId++;
+    cacheSchemaIds.set(schemaFn, schemaId);
+  }
+  const ordinal = cachedRuleCounts.get(pathNode) ?? 0;
+  cachedRuleCounts.set(pathNode, ordinal + 1);
+  return `${schemaId}:${pathNode.keys.join('.')}:${ordinal}`;
+}
+function addAsyncRule(path, opts, addRule) {
   assertPathIsCurrent(path);
   const pathNode = FieldPathNode.unwrapFieldPath(path);
-  const RESOURCE = createManagedMetadataKey((_state, params) => {
-    if (opts.debounce !== undefined) {
-      const debouncedResource = debounced(() => params(), opts.debounce);
-      const wrappedParams = computed(() => _chain(debouncedResource), ...(ngDevMode ? [{
-        debugName: "wrappedParams"
-      }] : []));
-      return opts.factory(wrappedParams);
-    }
-    return opts.factory(params);
-  });
-  RESOURCE[IS_ASYNC_VALIDATION_RESOURCE] = true;
-  metadata(path, RESOURCE, ctx => {
+  const cacheOptions = opts.cache === true ? {} : opts.cache || undefined;
+  const namespace = cacheOptions ? cacheOptions.namespace ?? defaultCacheNamespace(pathNode) : undefined;
+  const cacheKey = params => `${namespace}:${cacheOptions.key ? cacheOptions.key(params) : JSON.stringify(params)}`;
+  const CACHE = cacheOptions ? metadata(path, createManagedMetadataKey(() => cacheOptions.store ?? inject(ASYNC_VALIDATION_CACHE)), () => undefined) : undefined;
+  const PARAMS = metadata(path, createMetadataKey(), ctx => {
     const node = ctx.stateOf(path);
     const validationState = node.validationState;
     if (validationState.shouldSkipValidation() || !validationState.syncValid()) {
@@ -506,7 +809,44 @@ function validateAsync(path, opts) {
     }
     return opts.params(ctx);
   });
-  pathNode.builder.addAsyncErrorRule(ctx => {
+  const getCachedResult = state => {
+    const params = state.metadata(PARAMS)();
+    return CACHE && params !== undefined ? state.metadata(CACHE).get(cacheKey(params)) : undefined;
+  };
+  const RESOURCE = createManagedMetadataKey((state, params) => {
+    let res;
+    if (opts.debounce !== undefined) {
+      const debouncedResource = debounced(() => params(), opts.debounce);
+      const wrappedParams = computed(() => _chain(debouncedResource), ...(ngDevMode ? [{
+        debugName: "wrappedParams"
+      }] : []));
+      res = opts.factory(wrappedParams);
+    } else {
+      res = opts.factory(params);
+    }
+    if (CACHE) {
+      effect(() => {
+        if (res.status() !== 'resolved') {
+          return;
+        }
+        const value = res.value();
+        const resolvedParams = params();
+        if (resolvedParams !== undefined) {
+          untracked(() => state.metadata(CACHE).set(cacheKey(resolvedParams), value));
+        }
+      });
+    }
+    return res;
+  });
+  RESOURCE[IS_ASYNC_VALIDATION_RESOURCE] = true;
+  metadata(path, RESOURCE, ({
+    state
+  }) => getCachedResult(state) !== undefined ? undefined : state.metadata(PARAMS)());
+  addRule(pathNode.builder, ctx => {
+    const cached = getCachedResult(ctx.state);
+    if (cached !== undefined) {
+      return addDefaultField(opts.onSuccess(cached, ctx), ctx.fieldTree);
+    }
     const res = ctx.state.metadata(RESOURCE);
     let errors;
     switch (res.status()) {
@@ -529,13 +869,80 @@ function validateAsync(path, opts) {
   });
 }
 
+class AsyncValidatorTimeout extends Error {}
+function validateAsyncFn(path, opts) {
+  validateAsync(path, {
+    params: opts.params,
+    debounce: opts.debounce,
+    factory: params => resource({
+      params,
+      loader: ({
+        params,
+        abortSignal
+      }) => runAsyncValidatorFn(opts, params, abortSignal)
+    }),
+    onSuccess: result => result ? normalizeErrors(result).map(copyError) : undefined,
+    onError: (error, ctx) => error instanceof AsyncValidatorTimeout ? timeoutError(opts.timeout) : opts.onError?.(error, ctx),
+    when: opts.when,
+    cache: opts.cache
+  });
+}
+function copyError(error) {
+  return Object.assign(Object.create(Object.getPrototypeOf(error)), error);
+}
+function runAsyncValidatorFn(opts, params, abortSignal) {
+  if (opts.timeout === undefined) {
+    return firstResult(opts.run(params, abortSignal), abortSignal);
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort(abortSignal.reason);
+  abortSignal.addEventListener('abort', abort);
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new AsyncValidatorTimeout());
+    }, opts.timeout);
+  });
+  return Promise.race([firstResult(opts.run(params, controller.signal), controller.signal), timeout]).finally(() => {
+    clearTimeout(timeoutId);
+    abortSignal.removeEventListener('abort', abort);
+  });
+}
+function firstResult(result, abortSignal) {
+  if (!_isSubscribable(result)) {
+    return Promise.resolve(result);
+  }
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let subscription;
+    subscription = result.subscribe({
+      next: value => {
+        done = true;
+        resolve(value);
+        subscription?.unsubscribe();
+      },
+      error: reject,
+      complete: () => resolve(undefined)
+    });
+    if (done) {
+      subscription.unsubscribe();
+    } else {
+      abortSignal.addEventListener('abort', () => subscription.unsubscribe(), {
+        once: true
+      });
+    }
+  });
+}
+
 function validateTree(path, logic) {
   assertPathIsCurrent(path);
   const pathNode = FieldPathNode.unwrapFieldPath(path);
   pathNode.builder.addSyncTreeErrorRule(ctx => addDefaultField(logic(ctx), ctx.fieldTree));
 }
 
-function validateStandardSchema(path, schema) {
+function validateStandardSchema(path, schema, options) {
+  const mappers = options?.issueMappers ?? [zodIssueMapper, valibotIssueMapper];
   const VALIDATOR_MEMO = metadata(path, createMetadataKey(), ctx => {
     const resolvedSchema = typeof schema === 'function' ? schema(ctx) : schema;
     return resolvedSchema ? resolvedSchema['~standard'].validate(ctx.value()) : undefined;
@@ -548,7 +955,7 @@ function validateStandardSchema(path, schema) {
     if (!result || _isPromise(result)) {
       return [];
     }
-    return result?.issues?.map(issue => standardIssueToFormTreeError(fieldTreeOf(path), issue)) ?? [];
+    return result?.issues?.map(issue => standardIssueToFormTreeError(fieldTreeOf(path), issue, mappers)) ?? [];
   });
   validateAsync(path, {
     params: ({
@@ -568,7 +975,7 @@ function validateStandardSchema(path, schema) {
     onSuccess: (issues, {
       fieldTreeOf
     }) => {
-      return issues.map(issue => standardIssueToFormTreeError(fieldTreeOf(path), issue));
+      return issues.map(issue => standardIssueToFormTreeError(fieldTreeOf(path), issue, mappers));
     },
     onError: () => {}
   });
@@ -576,16 +983,124 @@ function validateStandardSchema(path, schema) {
 function standardSchemaError(issue, options) {
   return new StandardSchemaValidationError(issue, options);
 }
-function standardIssueToFormTreeError(fieldTree, issue) {
+function standardIssueToFormTreeError(fieldTree, issue, mappers) {
+  const pathKeys = (issue.path ?? []).map(pathPart => typeof pathPart === 'object' ? pathPart.key : pathPart);
   let target = fieldTree;
-  for (const pathPart of issue.path ?? []) {
-    const pathKey = typeof pathPart === 'object' ? pathPart.key : pathPart;
-    target = target[pathKey];
+  let depth = 0;
+  for (; depth < pathKeys.length && target[pathKeys[depth]] !== undefined; depth++) {
+    target = target[pathKeys[depth]];
+  }
+  let value = target().value();
+  let valueKnown = true;
+  for (const pathKey of pathKeys.slice(depth)) {
+    if (!isObject(value)) {
+      value = undefined;
+      valueKnown = false;
+      break;
+    }
+    value = value[pathKey];
+  }
+  const context = {
+    value,
+    missing: isIssueInputMissing(issue) ?? (valueKnown && value == null)
+  };
+  for (const mapper of mappers) {
+    const error = mapper(issue, context);
+    if (error) {
+      return addDefaultField(error, target);
+    }
   }
   return addDefaultField(standardSchemaError(issue, {
     message: issue.message
   }), target);
 }
+function isIssueInputMissing(issue) {
+  if ('input' in issue) {
+    return issue.input == null;
+  }
+  if ('received' in issue) {
+    return issue.received === 'undefined' || issue.received === 'null';
+  }
+  return undefined;
+}
+const LENGTH_ORIGINS = new Set(['string', 'array', 'set', 'file']);
+function zodIssueMapper(issue, {
+  missing
+}) {
+  const options = {
+    message: issue.message
+  };
+  const origin = issue.origin ?? issue.type;
+  switch (issue.code) {
+    case 'invalid_type':
+      return missing ? requiredError(options) : undefined;
+    case 'too_small':
+      if (issue.inclusive === false) {
+        return undefined;
+      }
+      if (LENGTH_ORIGINS.has(origin)) {
+        return minLengthError(Number(issue.minimum), options);
+      }
+      return origin === 'date' ? minDateError(new Date(Number(issue.minimum)), options) : minError(Number(issue.minimum), options);
+    case 'too_big':
+      if (issue.inclusive === false) {
+        return undefined;
+      }
+      if (LENGTH_ORIGINS.has(origin)) {
+        return maxLengthError(Number(issue.maximum), options);
+      }
+      return origin === 'date' ? maxDateError(new Date(Number(issue.maximum)), options) : maxError(Number(issue.maximum), options);
+    case 'invalid_format':
+    case 'invalid_string':
+      {
+        const format = issue.format ?? issue.validation;
+        if (format === 'email') {
+          return emailError(options);
+        }
+        if (format === 'regex') {
+          const pattern = toRegExp(issue.pattern);
+          return pattern ? patternError(pattern, options) : undefined;
+        }
+        return undefined;
+      }
+    default:
+      return undefined;
+  }
+}
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const match = typeof pattern === 'string' ? /^\/(.*)\/([a-z]*)$/s.exec(pattern) : null;
+  return match ? new RegExp(match[1], match[2]) : undefined;
+}
+function valibotIssueMapper(issue, {
+  missing
+}) {
+  const options = {
+    message: issue.message
+  };
+  switch (issue.type) {
+    case 'min_length':
+      return minLengthError(issue.requirement, options);
+    case 'max_length':
+      return maxLengthError(issue.requirement, options);
+    case 'min_value':
+      return issue.requirement instanceof Date ? minDateError(issue.requirement, options) : minError(issue.requirement, options);
+    case 'max_value':
+      return issue.requirement instanceof Date ? maxDateError(issue.requirement, options) : maxError(issue.requirement, options);
+    case 'email':
+      return emailError(options);
+    case 'regex':
+      return patternError(issue.requirement, options);
+    case 'non_optional':
+    case 'non_nullable':
+    case 'non_nullish':
+      return requiredError(options);
+    default:
+      return issue.kind === 'schema' && missing ? requiredError(options) : undefined;
+  }
+}
 class StandardSchemaValidationError extends BaseNgValidationError {
   issue;
   kind = 'standardSchema';
@@ -602,7 +1117,124 @@ function validateHttp(path, opts) {
     factory: request => httpResource(request, opts.options),
     onSuccess: opts.onSuccess,
     onError: opts.onError,
-    when: opts.when
+    when: opts.when,
+    cache: opts.cache
+  });
+}
+
+class HttpValidationBatch {
+  options;
+  queue = undefined;
+  constructor(options) {
+    this.options = options;
+  }
+  load(http, name, params, abortSignal) {
+    let queue = this.queue;
+    if (!queue) {
+      queue = this.queue = new Map();
+      setTimeout(() => this.flush(http), this.options.window ?? 0);
+    }
+    const key = JSON.stringify([name, params]);
+    let pending = queue.get(key);
+    if (!pending) {
+      pending = {
+        entry: {
+          name,
+          params
+        },
+        waiters: new Set(),
+        cancel: undefined
+      };
+      queue.set(key, pending);
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        pending.waiters.delete(waiter);
+        pending.cancel?.();
+        reject(abortSignal.reason);
+      };
+      const waiter = {
+        resolve: value => {
+          abortSignal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        reject: error => {
+          abortSignal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+      pending.waiters.add(waiter);
+      abortSignal.addEventListener('abort', onAbort, {
+        once: true
+      });
+    });
+  }
+  flush(http) {
+    const batch = [...this.queue.values()].filter(pending => pending.waiters.size > 0);
+    this.queue = undefined;
+    if (batch.length === 0) {
+      return;
+    }
+    const rejectAll = error => batch.forEach(pending => pending.waiters.forEach(waiter => waiter.reject(error)));
+    let request;
+    try {
+      request = this.options.request(batch.map(pending => pending.entry));
+    } catch (error) {
+      rejectAll(error);
+      return;
+    }
+    const {
+      url,
+      method = 'GET',
+      ...options
+    } = typeof request === 'string' ? {
+      url: request
+    } : request;
+    const select = this.options.select ?? ((response, _entry, index) => response[index]);
+    const subscription = http.request(method, url, options).subscribe({
+      next: response => {
+        batch.forEach((pending, index) => {
+          let result;
+          try {
+            result = select(response, pending.entry, index);
+          } catch (error) {
+            pending.waiters.forEach(waiter => waiter.reject(error));
+            return;
+          }
+          pending.waiters.forEach(waiter => waiter.resolve(result));
+        });
+      },
+      error: rejectAll
+    });
+    const cancel = () => {
+      if (batch.every(pending => pending.waiters.size === 0)) {
+        subscription.unsubscribe();
+      }
+    };
+    batch.forEach(pending => pending.cancel = cancel);
+  }
+}
+function createHttpValidationBatch(options) {
+  return new HttpValidationBatch(options);
+}
+function validateHttpBatch(path, batch, opts) {
+  validateAsync(path, {
+    params: opts.params,
+    debounce: opts.debounce,
+    factory: params => {
+      const http = inject(HttpClient);
+      return resource({
+        params,
+        loader: ({
+          params,
+          abortSignal
+        }) => batch.load(http, opts.name, params, abortSignal)
+      });
+    },
+    onSuccess: opts.onSuccess,
+    onError: opts.onError,
+    when: opts.when,
+    cache: opts.cache
   });
 }
 
@@ -612,6 +1244,41 @@ function debounce(path, config) {
   const debouncer = normalizeDebouncer(config);
   pathNode.builder.addMetadataRule(DEBOUNCER, () => debouncer);
 }
+function dirtyTracking(path, mode) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(DIRTY_TRACKING, () => mode);
+}
+function errorVisibility(path, policy) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(ERROR_VISIBILITY, () => policy);
+}
+function trackBy(path, fn) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(TRACK_BY, () => fn);
+}
+function defaultValue(path, valueOrFn) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(DEFAULT_VALUE, typeof valueOrFn === 'function' ? () => valueOrFn() : () => valueOrFn);
+}
+function derive(path, logic, options) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(DERIVED_VALUE, ctx => ({
+    value: logic(ctx)
+  }));
+  if (!options?.overridable) {
+    pathNode.builder.addReadonlyRule(() => true);
+  }
+}
+function normalize(path, fn) {
+  assertPathIsCurrent(path);
+  const pathNode = FieldPathNode.unwrapFieldPath(path);
+  pathNode.builder.addMetadataRule(NORMALIZERS, () => fn);
+}
 function normalizeDebouncer(debouncer) {
   if (typeof debouncer === 'function') {
     return debouncer;
@@ -714,6 +1381,91 @@ function transformedValue(value, options) {
   return result;
 }
 
+function webStoragePersistence(getStorage) {
+  return {
+    load(key) {
+      const storage = getStorage();
+      const draft = storage?.getItem(key);
+      if (!draft) {
+        return undefined;
+      }
+      try {
+        return JSON.parse(draft);
+      } catch {
+        storage.removeItem(key);
+        return undefined;
+      }
+    },
+    save(key, draft) {
+      getStorage()?.setItem(key, JSON.stringify(draft));
+    },
+    remove(key) {
+      getStorage()?.removeItem(key);
+    }
+  };
+}
+function localStoragePersistence() {
+  return webStoragePersistence(() => typeof localStorage !== 'undefined' ? localStorage : undefined);
+}
+function sessionStoragePersistence() {
+  return webStoragePersistence(() => typeof sessionStorage !== 'undefined' ? sessionStorage : undefined);
+}
+function indexedDbPersistence(options) {
+  const databaseName = options?.databaseName ?? 'ng-signal-forms';
+  const storeName = options?.storeName ?? 'drafts';
+  let database;
+  const connect = version => new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, version);
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error(`Opening the IndexedDB database "${databaseName}" is blocked by a connection in another tab.`));
+    };
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        db.close();
+        return;
+      }
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.close();
+        connect(db.version + 1).then(resolve, reject);
+        return;
+      }
+      db.onversionchange = () => {
+        db.close();
+        database = undefined;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+  const run = (mode, operation) => {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(undefined);
+    }
+    database ??= connect().catch(error => {
+      database = undefined;
+      throw error;
+    });
+    return database.then(db => new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  };
+  return {
+    load: key => run('readonly', store => store.get(key)),
+    save: (key, draft) => run('readwrite', store => store.put(draft, key)),
+    remove: key => run('readwrite', store => store.delete(key))
+  };
+}
+
 class InteropNgControl {
   field;
   constructor(field) {
@@ -1296,6 +2048,12 @@ class FormField {
     } : {}),
     equal: shallowArrayEquals
   });
+  visibleErrors = computed(() => this.state().visibleErrors().filter(err => !err.formField || err.formField === this), {
+    ...(ngDevMode ? {
+      debugName: "visibleErrors"
+    } : {}),
+    equal: shallowArrayEquals
+  });
   isFieldBinding = false;
   resetter = () => {};
   parseErrorsResetCallback;
@@ -1337,12 +2095,31 @@ class FormField {
       injector: this.injector
     });
   }
+  installAriaInvalidEffect() {
+    const bindings = createBindings();
+    afterRenderEffect({
+      write: () => {
+        const invalid = this.visibleErrors().length > 0;
+        if (bindingUpdated(bindings, 'ariaInvalid', invalid)) {
+          if (invalid) {
+            this.renderer.setAttribute(this.element, 'aria-invalid', 'true');
+          } else {
+            this.renderer.removeAttribute(this.element, 'aria-invalid');
+          }
+        }
+      }
+    }, {
+      injector: this.injector
+    });
+  }
   focus(options) {
     this.focuser(options);
   }
-  reset() {
+  reset(options) {
     this.resetter();
-    this.parseErrorsResetCallback?.(this.state().value());
+    if (!options?.keepParseErrors) {
+      this.parseErrorsResetCallback?.(this.state().value());
+    }
   }
   registerAsBinding(bindingOptions) {
     if (this.isFieldBinding) {
@@ -1350,6 +2127,7 @@ class FormField {
     }
     this.isFieldBinding = true;
     this.installClassBindingEffect();
+    this.installAriaInvalidEffect();
     if (bindingOptions?.focus) {
       this.focuser = focusOptions => bindingOptions.focus(focusOptions);
     }
@@ -1626,6 +2404,7 @@ function inferSchemaFromFieldNode(node) {
     type: 'boolean'
   };
   if (value === null || value === undefined) return undefined;
+  if (value instanceof Map || value instanceof Set) return undefined;
   if (Array.isArray(value)) {
     if (value.length === 0) return undefined;
     const firstChild = node.structure.getChild('0');
@@ -1664,5 +2443,5 @@ function provideExperimentalWebMcpForms() {
   }]);
 }
 
-export { BaseNgValidationError, EmailValidationError, FORM_FIELD, FormField, FormRoot, IS_ASYNC_VALIDATION_RESOURCE, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PatternValidationError, REQUIRED, RequiredValidationError, StandardSchemaValidationError, createManagedMetadataKey, createMetadataKey, debounce, disabled, email, emailError, hidden, isFieldTree, max, maxDate, maxDateError, maxError, maxLength, maxLengthError, metadata, min, minDate, minDateError, minError, minLength, minLengthError, pattern, patternError, provideExperimentalWebMcpForms, provideSignalFormsConfig, readonly, required, requiredError, standardSchemaError, submit, transformedValue, validate, validateAsync, validateHttp, validateStandardSchema, validateTree, ɵNgFieldDirective };
+export { ASYNC_VALIDATION_CACHE, AsyncValidationCache, BaseNgValidationError, DateRangeOrderValidationError, EmailValidationError, FORM_FIELD, FormField, FormRoot, IS_ASYNC_VALIDATION_RESOURCE, LABEL, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MatchesFieldValidationError, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PatternValidationError, REQUIRED, RequiredOneOfValidationError, RequiredValidationError, StandardSchemaValidationError, SumEqualsValidationError, TimeoutValidationError, UniqueValidationError, createHttpValidationBatch, createManagedMetadataKey, createMetadataKey, dateRangeOrder, dateRangeOrderError, debounce, defaultValue, derive, dirtyTracking, disabled, email, emailError, errorVisibility, hidden, indexedDbPersistence, isFieldTree, localStoragePersistence, matchesField, matchesFieldError, max, maxDate, maxDateError, maxError, maxLength, maxLengthError, metadata, min, minDate, minDateError, minError, minLength, minLengthError, normalize, pattern, patternError, provideAsyncValidationCache, provideExperimentalWebMcpForms, provideSignalFormsConfig, readonly, required, requiredError, requiredIf, requiredOneOf, requiredOneOfError, sessionStoragePersistence, standardSchemaError, submit, sumEquals, sumEqualsError, timeoutError, trackBy, transformedValue, unique, uniqueError, valibotIssueMapper, validate, validateAsync, validateAsyncFn, validateHttp, validateHttpBatch, validateStandardSchema, validateTree, warn, warnAsync, zodIssueMapper, ɵNgFieldDirective };
 //# sourceMappingURL=signals.mjs.map
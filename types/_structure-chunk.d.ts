@@ -290,6 +290,16 @@ declare const MAX_LENGTH: LimitKey<number>;
  * @publicApi 22.0
  */
 declare const PATTERN: MetadataKey<Signal<RegExp[]>, RegExp | undefined, RegExp[]>;
+/**
+ * A {@link MetadataKey} representing the human readable label of the field.
+ *
+ * The label is passed to the {@link SignalFormsConfig#errorMessages error message resolvers} so
+ * that messages can refer to the field by name.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare const LABEL: MetadataKey<Signal<string | undefined>, string, string | undefined>;
 
 declare const ɵNgFieldDirective: unique symbol;
 interface FormFieldBindingOptions {
@@ -368,6 +378,8 @@ declare class FormField<T> {
     private _interopNgControl;
     /** Errors associated with this form field. */
     readonly errors: Signal<ValidationError.WithFieldTree[]>;
+    /** Errors associated with this form field that are visible under the field's error visibility policy. */
+    readonly visibleErrors: Signal<ValidationError.WithFieldTree[]>;
     /** Whether this `FormField` has been registered as a binding on its associated `FieldState`. */
     private isFieldBinding;
     /**
@@ -380,17 +392,25 @@ declare class FormField<T> {
      * if needed.
      */
     private installClassBindingEffect;
+    /**
+     * Creates an `afterRenderEffect` that sets `aria-invalid` on the host element while it has
+     * visible errors, if an error visibility policy applies to the field.
+     */
+    private installAriaInvalidEffect;
     /**
      * Focuses this field binding.
      *
-     * By default, this will focus the host DOM element. However, custom `FormUiControl`s can
-     * implement custom focusing behavior.
+     * By default, this will focus the host DOM element, or its first focusable descendant if the
+     * host element itself cannot receive focus. However, custom `FormUiControl`s can implement
+     * custom focusing behavior.
      */
     focus(options?: FocusOptions): void;
     /**
      * Resets the bound control.
+     *
+     * @param options Options for the reset. Only `keepParseErrors` applies to the bound control.
      */
-    reset(): void;
+    reset(options?: ResetOptions): void;
     /**
      * Registers this `FormField` as a binding on its associated `FieldState`.
      *
@@ -438,6 +458,7 @@ type IgnoreUnknownProperties<T> = T extends Record<PropertyKey, unknown> ? {
  *
  * @param path The `FieldPath` to the field to validate.
  * @param schema The standard schema compatible validator to use for validation, or a LogicFn that returns the schema.
+ * @param options Options for how issues reported by the schema are converted to validation errors.
  * @template TSchema The type validated by the schema. This may be either the full `TValue` type,
  *   or a partial of it.
  * @template TValue The type of value stored in the field being validated.
@@ -446,7 +467,68 @@ type IgnoreUnknownProperties<T> = T extends Record<PropertyKey, unknown> ? {
  * @category validation
  * @publicApi 22.0
  */
-declare function validateStandardSchema<TSchema, TModel extends IgnoreUnknownProperties<TSchema>>(path: SchemaPath<TModel> & SchemaPathTree<TModel>, schema: StandardSchemaV1<TSchema> | LogicFn<TModel, StandardSchemaV1<unknown> | undefined>): void;
+declare function validateStandardSchema<TSchema, TModel extends IgnoreUnknownProperties<TSchema>>(path: SchemaPath<TModel> & SchemaPathTree<TModel>, schema: StandardSchemaV1<TSchema> | LogicFn<TModel, StandardSchemaV1<unknown> | undefined>, options?: StandardSchemaValidationOptions): void;
+/**
+ * Context passed to a `StandardSchemaIssueMapper`.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface StandardSchemaIssueContext {
+    /**
+     * The current value at the issue's path, read from the model. `undefined` when the path cannot
+     * be followed in the model.
+     */
+    readonly value: unknown;
+    /**
+     * Whether the issue's input was missing, i.e. `undefined` or `null`. Taken from the issue itself
+     * when it reports its input (such as Valibot's `input` or Zod 3's `received`), and otherwise from
+     * the model value at the issue's path. `false` when neither is known.
+     */
+    readonly missing: boolean;
+}
+/**
+ * Converts a standard schema issue into a built-in or custom validation error. Returning
+ * `undefined` defers to the next mapper, and ultimately to a `StandardSchemaValidationError`.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+type StandardSchemaIssueMapper = (issue: StandardSchemaV1.Issue, context: StandardSchemaIssueContext) => ValidationError.WithoutFieldTree | undefined;
+/**
+ * Options for `validateStandardSchema`.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface StandardSchemaValidationOptions {
+    /**
+     * Mappers tried in order for each issue. The first error returned is reported in place of the
+     * generic `StandardSchemaValidationError`, so that e.g. a Zod `too_small` issue on a string
+     * surfaces as a `MinLengthValidationError`. Defaults to `[zodIssueMapper, valibotIssueMapper]`;
+     * pass an empty array to report every issue as a `StandardSchemaValidationError`.
+     */
+    issueMappers?: readonly StandardSchemaIssueMapper[];
+}
+/**
+ * Maps common Zod issues (`too_small`, `too_big`, `invalid_format` and `invalid_type` for a
+ * missing value) to the matching built-in validation errors. The issue's message is preserved.
+ * Exclusive bounds (e.g. `z.number().positive()`) have no built-in equivalent and are left as
+ * `StandardSchemaValidationError`s.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare const zodIssueMapper: StandardSchemaIssueMapper;
+/**
+ * Maps common Valibot issues (`min_length`, `max_length`, `min_value`, `max_value`, `email`,
+ * `regex` and missing values) to the matching built-in validation errors. The issue's message is
+ * preserved.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare const valibotIssueMapper: StandardSchemaIssueMapper;
 /**
  * Create a standard schema issue error associated with the target field
  * @param issue The standard schema issue
@@ -716,6 +798,125 @@ declare function emailError(options: WithFieldTree<ValidationErrorOptions>): Ema
  * @publicApi 22.0
  */
 declare function emailError(options?: ValidationErrorOptions): WithoutFieldTree<EmailValidationError>;
+/**
+ * Create an error indicating that a field does not match another field, associated with the
+ * target field
+ * @param otherField The field whose value had to be matched
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function matchesFieldError(otherField: ReadonlyFieldTree<unknown>, options: WithFieldTree<ValidationErrorOptions>): MatchesFieldValidationError;
+/**
+ * Create an error indicating that a field does not match another field
+ * @param otherField The field whose value had to be matched
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function matchesFieldError(otherField: ReadonlyFieldTree<unknown>, options?: ValidationErrorOptions): WithoutFieldTree<MatchesFieldValidationError>;
+/**
+ * Create an error indicating that none of a group of fields has a value, associated with the
+ * target field
+ * @param fields The fields of which at least one must have a value
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function requiredOneOfError(fields: ReadonlyFieldTree<unknown>[], options: WithFieldTree<ValidationErrorOptions>): RequiredOneOfValidationError;
+/**
+ * Create an error indicating that none of a group of fields has a value
+ * @param fields The fields of which at least one must have a value
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function requiredOneOfError(fields: ReadonlyFieldTree<unknown>[], options?: ValidationErrorOptions): WithoutFieldTree<RequiredOneOfValidationError>;
+/**
+ * Create an error indicating that the end of a date range is before its start, associated with
+ * the target field
+ * @param start The start of the range
+ * @param end The end of the range
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function dateRangeOrderError(start: Date, end: Date, options: WithFieldTree<ValidationErrorOptions>): DateRangeOrderValidationError;
+/**
+ * Create an error indicating that the end of a date range is before its start
+ * @param start The start of the range
+ * @param end The end of the range
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function dateRangeOrderError(start: Date, end: Date, options?: ValidationErrorOptions): WithoutFieldTree<DateRangeOrderValidationError>;
+/**
+ * Create an error indicating that a group of fields does not add up to the expected total,
+ * associated with the target field
+ * @param sum The actual sum of the fields
+ * @param total The expected total
+ * @param fields The fields that are added up
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function sumEqualsError(sum: number, total: number, fields: ReadonlyFieldTree<unknown>[], options: WithFieldTree<ValidationErrorOptions>): SumEqualsValidationError;
+/**
+ * Create an error indicating that a group of fields does not add up to the expected total
+ * @param sum The actual sum of the fields
+ * @param total The expected total
+ * @param fields The fields that are added up
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function sumEqualsError(sum: number, total: number, fields: ReadonlyFieldTree<unknown>[], options?: ValidationErrorOptions): WithoutFieldTree<SumEqualsValidationError>;
+/**
+ * Create an error indicating that an array item is a duplicate, associated with the target field
+ * @param key The key shared by the duplicate items
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function uniqueError(key: unknown, options: WithFieldTree<ValidationErrorOptions>): UniqueValidationError;
+/**
+ * Create an error indicating that an array item is a duplicate
+ * @param key The key shared by the duplicate items
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function uniqueError(key: unknown, options?: ValidationErrorOptions): WithoutFieldTree<UniqueValidationError>;
+/**
+ * Create an error indicating that an async validator did not finish in time, associated with the
+ * target field
+ * @param timeout The timeout that was exceeded, in milliseconds
+ * @param options The validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function timeoutError(timeout: number, options: WithFieldTree<ValidationErrorOptions>): TimeoutValidationError;
+/**
+ * Create an error indicating that an async validator did not finish in time
+ * @param timeout The timeout that was exceeded, in milliseconds
+ * @param options The optional validation error options
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function timeoutError(timeout: number, options?: ValidationErrorOptions): WithoutFieldTree<TimeoutValidationError>;
 /**
  * Common interface for all validation errors.
  *
@@ -923,6 +1124,80 @@ declare class EmailValidationError extends BaseNgValidationError {
 declare class NativeInputParseError extends BaseNgValidationError {
     readonly kind = "parse";
 }
+/**
+ * An error used to indicate that a value does not match the value of another field, e.g. a
+ * password confirmation.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class MatchesFieldValidationError extends BaseNgValidationError {
+    readonly otherField: ReadonlyFieldTree<unknown>;
+    readonly kind = "matchesField";
+    constructor(otherField: ReadonlyFieldTree<unknown>, options?: ValidationErrorOptions);
+}
+/**
+ * An error used to indicate that none of a group of fields has a value. It is reported once, on
+ * the first field of the group, and lists every field of the group.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class RequiredOneOfValidationError extends BaseNgValidationError {
+    readonly fields: ReadonlyFieldTree<unknown>[];
+    readonly kind = "requiredOneOf";
+    constructor(fields: ReadonlyFieldTree<unknown>[], options?: ValidationErrorOptions);
+}
+/**
+ * An error used to indicate that the end of a date range is before its start. It is reported on
+ * the end field.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class DateRangeOrderValidationError extends BaseNgValidationError {
+    readonly start: Date;
+    readonly end: Date;
+    readonly kind = "dateRangeOrder";
+    constructor(start: Date, end: Date, options?: ValidationErrorOptions);
+}
+/**
+ * An error used to indicate that a group of number fields does not add up to the expected total.
+ * It is reported once, on the first field of the group, and lists every field of the group.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class SumEqualsValidationError extends BaseNgValidationError {
+    readonly sum: number;
+    readonly total: number;
+    readonly fields: ReadonlyFieldTree<unknown>[];
+    readonly kind = "sumEquals";
+    constructor(sum: number, total: number, fields: ReadonlyFieldTree<unknown>[], options?: ValidationErrorOptions);
+}
+/**
+ * An error used to indicate that an async validator did not finish within its timeout.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class TimeoutValidationError extends BaseNgValidationError {
+    readonly timeout: number;
+    readonly kind = "timeout";
+    constructor(timeout: number, options?: ValidationErrorOptions);
+}
+/**
+ * An error used to indicate that an array item has the same key as another item of the array.
+ * It is reported on every duplicate item.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class UniqueValidationError extends BaseNgValidationError {
+    readonly key: unknown;
+    readonly kind = "unique";
+    constructor(key: unknown, options?: ValidationErrorOptions);
+}
 /**
  * The base class for all built-in, non-custom errors. This class can be used to check if an error
  * is one of the standard kinds, allowing you to switch on the kind to further narrow the type.
@@ -951,13 +1226,161 @@ declare class NativeInputParseError extends BaseNgValidationError {
  * @publicApi 22.0
  */
 declare const NgValidationError: abstract new () => NgValidationError;
-type NgValidationError = RequiredValidationError | MinValidationError | MinDateValidationError | MaxValidationError | MaxDateValidationError | MinLengthValidationError | MaxLengthValidationError | PatternValidationError | EmailValidationError | StandardSchemaValidationError | NativeInputParseError;
+type NgValidationError = RequiredValidationError | MinValidationError | MinDateValidationError | MaxValidationError | MaxDateValidationError | MinLengthValidationError | MaxLengthValidationError | PatternValidationError | EmailValidationError | StandardSchemaValidationError | NativeInputParseError | MatchesFieldValidationError | RequiredOneOfValidationError | DateRangeOrderValidationError | SumEqualsValidationError | UniqueValidationError | TimeoutValidationError;
 
 /**
  * Symbol used to retain generic type information when it would otherwise be lost.
  */
 declare const ɵɵTYPE: unique symbol;
 
+/**
+ * A draft of a form's model as written to a {@link FormPersistenceAdapter}.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface PersistedFormDraft {
+    /** The `version` of the form's persistence options at the time the draft was saved. */
+    version: number;
+    /** The model value of the form. */
+    value: unknown;
+}
+/**
+ * A storage backend for form drafts, used by the `persistence` option of {@link FormOptions}.
+ *
+ * Each method may complete synchronously or return a `Promise`. A synchronous `load` restores the
+ * draft before `form()` returns. Errors thrown or rejected by an adapter do not propagate: a failed
+ * `load` is treated as no draft, and failures are reported as a warning in development mode.
+ *
+ * @see {@link localStoragePersistence}
+ * @see {@link sessionStoragePersistence}
+ * @see {@link indexedDbPersistence}
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FormPersistenceAdapter {
+    /**
+     * Reads the draft stored under the given key.
+     *
+     * @param key The key the draft was saved under.
+     * @returns The stored draft, or `undefined` if there is none.
+     */
+    load(key: string): PersistedFormDraft | undefined | Promise<PersistedFormDraft | undefined>;
+    /**
+     * Writes a draft under the given key, replacing any existing draft.
+     *
+     * @param key The key to save the draft under.
+     * @param draft The draft to save.
+     */
+    save(key: string, draft: PersistedFormDraft): void | Promise<unknown>;
+    /**
+     * Deletes the draft stored under the given key.
+     *
+     * @param key The key of the draft to delete.
+     */
+    remove(key: string): void | Promise<unknown>;
+}
+/**
+ * Options for automatically persisting a form's model as a draft.
+ *
+ * When the form is created, a stored draft is loaded and written to the model, unless the model has
+ * changed in the meantime. After that, changes to the model are saved to the adapter once they have
+ * settled for `debounce` milliseconds. The draft is deleted after a successful `submit()` of the
+ * whole form.
+ *
+ * @template TModel The data type of the form's model.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FormPersistenceOptions<TModel> {
+    /** The storage backend for the draft. */
+    adapter: FormPersistenceAdapter;
+    /** The key to store the draft under. Defaults to the form's `name`. */
+    key?: string;
+    /**
+     * The version of the model's shape. Bump it whenever the model changes in a way that makes older
+     * drafts incompatible. Defaults to `0`.
+     */
+    version?: number;
+    /**
+     * Converts a draft saved with a different `version` into the current model shape. When not
+     * specified, or when it returns `undefined`, such drafts are ignored. If it throws, or the stored
+     * value is not a versioned draft, the draft is ignored as well, and the error is reported in dev
+     * mode; the form keeps saving its value.
+     *
+     * @param value The model value of the stored draft.
+     * @param version The version the draft was saved with.
+     */
+    migrate?: (value: unknown, version: number) => TModel | undefined;
+    /** How long the model must stay unchanged before it is saved, in milliseconds. Defaults to `300`. */
+    debounce?: number;
+}
+/**
+ * Determines how a field computes its `dirty` state:
+ * - `'interaction'`: The field becomes dirty once the user changes its value through a bound control,
+ *   and stays dirty until it is reset (default)
+ * - `'value'`: The field is dirty while its value differs from its `initialValue`, compared deeply.
+ *   Changing a value and changing it back leaves the field pristine. A value that is still being
+ *   edited is normalized before it is compared, so it is not dirty if it normalizes to the initial
+ *   value.
+ *
+ * In both modes, a field is also dirty when any of its children is dirty.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+type DirtyTrackingMode = 'interaction' | 'value';
+/**
+ * A policy that determines when the errors of a field should be shown to the user, as reflected by
+ * {@link ReadonlyFieldState#visibleErrors}.
+ *
+ * - `'always'`: Errors are always visible (default).
+ * - `'touched'`: Errors are visible once the field has been touched or submitted.
+ * - `'dirty'`: Errors are visible once the field is dirty or has been submitted.
+ * - `'submitted'`: Errors are visible once the field has been submitted.
+ * - A function that receives the field's state and returns whether its errors are visible.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+type ErrorVisibility = 'always' | 'touched' | 'dirty' | 'submitted' | ((state: ReadonlyFieldState<unknown>) => boolean);
+/**
+ * The outcome of a form submit, as reported by {@link ReadonlyFieldState#lastSubmitResult}.
+ *
+ * - `'success'`: the submit action ran and reported no errors.
+ * - `'invalid'`: the form was invalid, so the submit action did not run.
+ * - `'error'`: the submit action ran and either returned errors or threw.
+ *
+ * Submits that are cancelled, either by {@link cancelSubmit} or by a subsequent submit with the
+ * `'cancelPrevious'` concurrency policy, have no result and leave the previous one in place.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+type SubmitResult = 'success' | 'invalid' | 'error';
+/**
+ * Options for focusing the first invalid control when a submit fails.
+ *
+ * @see {@link FormSubmitOptions#focusOnInvalid}
+ *
+ * @category submission
+ * @publicApi 22.2
+ */
+interface FocusOnInvalidOptions {
+    /**
+     * The distance in pixels to leave between the top of the scroll container and the focused
+     * control, e.g. to keep it clear of a sticky header. It is applied as a temporary
+     * `scroll-margin-top` on the control, which is removed once scrolling ends. Defaults to `0`.
+     */
+    scrollOffset?: number;
+    /**
+     * The behavior to use when scrolling the control into view. Defaults to the browser's
+     * behavior, which respects the `scroll-behavior` CSS property.
+     */
+    scrollBehavior?: ScrollBehavior;
+}
 /**
  * Options that can be specified when submitting a form.
  *
@@ -972,12 +1395,14 @@ interface FormSubmitOptions<TRootModel, TSubmittedModel> {
      * @param field The contextually relevant field for this action function (the root field when
      *   specified during form creation, and the submitted field when specified as part of the
      *   `submit()` call)
-     * @param detail An object containing the root field of the submitted form as well as the
-     *   submitted field itself
+     * @param detail An object containing the root field of the submitted form, the submitted
+     *   field itself, and an `AbortSignal` that is aborted when the submission is cancelled. Once
+     *   the signal is aborted, the result of the action is ignored.
      */
     action: (field: FieldTree<TRootModel & TSubmittedModel>, detail: {
         root: FieldTree<TRootModel>;
         submitted: FieldTree<TSubmittedModel>;
+        signal: AbortSignal;
     }) => Promise<TreeValidationResult>;
     /**
      * Function to run when attempting to submit the form data but validation is failing.
@@ -999,6 +1424,27 @@ interface FormSubmitOptions<TRootModel, TSubmittedModel> {
      * - 'all': Will always submit regardless of invalid or pending validators
      */
     ignoreValidators?: 'pending' | 'none' | 'all';
+    /**
+     * How to handle a submit while the field, one of its ancestors or one of its descendants is
+     * already being submitted:
+     * - 'ignore': If the field or one of its ancestors is being submitted, the new submit resolves
+     *   to `false` without doing anything. Submissions of descendants do not block it (default)
+     * - 'cancelPrevious': The in-progress submissions are cancelled and the new one starts immediately
+     * - 'queue': The new submit waits for the in-progress submissions to finish, then runs
+     */
+    concurrency?: 'ignore' | 'cancelPrevious' | 'queue';
+    /**
+     * Whether to focus the first invalid control, in DOM order, when the submit fails because the
+     * form is invalid or the action returned errors. The control is scrolled into view, optionally
+     * leaving the configured offset above it.
+     *
+     * Custom `FormUiControl`s are focused through their `focus()` method when they implement one.
+     * If focus does not end up inside the control's host element, its first focusable descendant is
+     * focused instead.
+     *
+     * Defaults to the `focusOnInvalid` option of {@link provideSignalFormsConfig}, or `false`.
+     */
+    focusOnInvalid?: boolean | FocusOnInvalidOptions;
 }
 /**
  * Options for the `markAsTouched` method.
@@ -1014,6 +1460,43 @@ interface MarkAsTouchedOptions {
      */
     skipDescendants?: boolean;
 }
+/**
+ * Options for the `reset` method.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface ResetOptions {
+    /**
+     * If `true`, the touched status of the fields is kept.
+     */
+    keepTouched?: boolean;
+    /**
+     * If `true`, the dirty status of the fields is kept, and their {@link FieldState#initialValue}
+     * is not updated to the reset value.
+     */
+    keepDirty?: boolean;
+    /**
+     * If `true`, errors returned by a submit action are kept, even if the reset changes the value
+     * of the fields they belong to.
+     */
+    keepSubmissionErrors?: boolean;
+    /**
+     * If `true`, the submission history of the fields is kept, such as
+     * {@link ReadonlyFieldState#submitCount} and {@link ReadonlyFieldState#lastSubmitResult}.
+     */
+    keepSubmitHistory?: boolean;
+    /**
+     * If `true`, parse errors reported by the bound UI controls are kept.
+     */
+    keepParseErrors?: boolean;
+    /**
+     * If `true`, only the state of the current field is reset, not that of its descendants. A
+     * reset value still replaces the values of the descendants. Without a reset value, only the
+     * current field's own `defaultValue` is restored.
+     */
+    onlySelf?: boolean;
+}
 /**
  * A type that represents either a single value of type `T` or a readonly array of `T`.
  * @template T The type of the value(s).
@@ -1150,7 +1633,7 @@ type Field<TValue, TKey extends string | number = string | number> = () => Field
  * @category types
  * @publicApi 22.0
  */
-type FieldTree<TModel, TKey extends string | number = string | number, TMode extends 'writable' | 'readonly' = 'writable'> = (() => [TModel] extends [AbstractControl] ? CompatFieldState<TModel, TKey, TMode> : FieldStateByMode<TModel, TKey, TMode>) & (TModel extends AbstractControl ? object : TModel extends ReadonlyArray<infer U> ? ReadonlyArrayLike<MaybeFieldTree<U, number, TMode>> : TModel extends Record<string, any> ? Subfields<TModel, TMode> : object);
+type FieldTree<TModel, TKey extends string | number = string | number, TMode extends 'writable' | 'readonly' = 'writable'> = (() => [TModel] extends [AbstractControl] ? CompatFieldState<TModel, TKey, TMode> : FieldStateByMode<TModel, TKey, TMode>) & (TModel extends AbstractControl ? object : TModel extends ReadonlyArray<infer U> ? ReadonlyArrayLike<MaybeFieldTree<U, number, TMode>> & (TMode extends 'writable' ? FieldArrayMethods<U> : unknown) : TModel extends ReadonlyMap<string, infer V> ? MapSubfields<V, TMode> : TModel extends ReadonlySet<infer U> ? TMode extends 'writable' ? FieldSetMethods<U> : object : TModel extends Record<string, any> ? Subfields<TModel, TMode> : object);
 /**
  * A readonly {@link FieldTree}.
  *
@@ -1171,6 +1654,22 @@ type Subfields<TModel, TMode extends 'writable' | 'readonly' = 'writable'> = {
 } & {
     [Symbol.iterator](): Iterator<[string, MaybeFieldTree<TModel[keyof TModel], string, TMode>]>;
 };
+/**
+ * The sub-fields that a user can navigate to from a `FieldTree` of a `Map`, one for each entry.
+ *
+ * Entries are accessed by their key, which must be a string.
+ *
+ * @template TValue The type of the values of the map.
+ * @template TMode Determines whether the field state is readonly or writable.
+ *
+ * @category types
+ * @publicApi 22.2
+ */
+type MapSubfields<TValue, TMode extends 'writable' | 'readonly' = 'writable'> = {
+    readonly [key: string]: MaybeFieldTree<TValue, string, TMode>;
+} & {
+    [Symbol.iterator](): Iterator<[string, MaybeFieldTree<TValue, string, TMode>]>;
+};
 /**
  * An iterable object with the same shape as a readonly array.
  *
@@ -1183,6 +1682,113 @@ interface ReadonlyArrayLike<T> {
     readonly length: number;
     [Symbol.iterator](): IterableIterator<T>;
 }
+/**
+ * Methods to change the items of a `Set` {@link FieldTree}.
+ *
+ * A set is a single field without sub-fields, so it can be validated as a whole, for example with
+ * `minLength` and `maxLength`. Each method writes a new `Set` to the field's value.
+ *
+ * @example
+ * ```ts
+ * const filterForm = form(signal({tags: new Set<string>()}), (f) => {
+ *   maxLength(f.tags, 3);
+ * });
+ * filterForm.tags.toggle('urgent');
+ * ```
+ *
+ * @template TItem The set item type.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FieldSetMethods<TItem> {
+    /**
+     * Adds an item to the set.
+     *
+     * @param item The item to add.
+     */
+    add(item: TItem): void;
+    /**
+     * Removes an item from the set.
+     *
+     * @param item The item to remove.
+     */
+    delete(item: TItem): void;
+    /**
+     * Adds the item if it is not in the set, and removes it otherwise.
+     *
+     * @param item The item to toggle.
+     * @param force When specified, adds the item if `true` and removes it if `false`.
+     */
+    toggle(item: TItem, force?: boolean): void;
+}
+/**
+ * Methods to change the items of an array {@link FieldTree}.
+ *
+ * Each method writes a new array to the field's value. Existing items are kept by reference, so
+ * their fields keep their state (such as touched, dirty, submission errors and pending async
+ * validation) when they move to a different index. Methods that take the index of an existing item
+ * throw if it is not an integer in the range of the array, leaving the value unchanged.
+ *
+ * @example
+ * ```ts
+ * const todoForm = form(signal({todos: [{title: 'Write docs'}]}));
+ * todoForm.todos.push({title: 'Review PR'});
+ * todoForm.todos.move(1, 0);
+ * ```
+ *
+ * @template TItem The array item type.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FieldArrayMethods<TItem> {
+    /**
+     * Appends items to the end of the array.
+     *
+     * @param items The items to append.
+     */
+    push(...items: TItem[]): void;
+    /**
+     * Inserts items at the given index.
+     *
+     * @param index The index to insert the items at.
+     * @param items The items to insert.
+     */
+    insert(index: number, ...items: TItem[]): void;
+    /**
+     * Removes items starting at the given index.
+     *
+     * @param index The index of the first item to remove.
+     * @param count The number of items to remove. Defaults to `1`.
+     */
+    removeAt(index: number, count?: number): void;
+    /**
+     * Moves an item to a different index, shifting the items in between.
+     *
+     * @param from The current index of the item.
+     * @param to The index to move the item to.
+     */
+    move(from: number, to: number): void;
+    /**
+     * Exchanges the positions of two items.
+     *
+     * @param a The index of the first item.
+     * @param b The index of the second item.
+     */
+    swap(a: number, b: number): void;
+    /**
+     * Replaces the item at the given index with a new value.
+     *
+     * When both the current and the new item are objects, the field at that index keeps its state,
+     * as if the item had been edited in place. In that case a shallow copy of the new item is stored,
+     * so the object passed in is not modified.
+     *
+     * @param index The index of the item to replace.
+     * @param item The new item.
+     */
+    replace(index: number, item: TItem): void;
+}
 /**
  * Helper type for defining `FieldTree`. Given a type `TValue` that may include `undefined`,
  * it extracts the `undefined` outside the `FieldTree` type.
@@ -1229,6 +1835,15 @@ interface ReadonlyFieldState<TValue, TKey extends string | number = string | num
      * the {@link controlValue} of children.
      */
     readonly controlValue: Signal<TValue>;
+    /**
+     * A signal containing the value this field had when the form was created or last reset.
+     *
+     * This is the baseline that {@link dirty} compares against when using `'value'` dirty tracking.
+     * Array items are matched to their baseline by identity, so reordering them does not change
+     * their initial value. Fields that did not exist in the baseline have an initial value of
+     * `undefined`.
+     */
+    readonly initialValue: Signal<TValue | undefined>;
     /**
      * A signal indicating whether the field is currently disabled.
      */
@@ -1279,6 +1894,8 @@ interface ReadonlyFieldState<TValue, TKey extends string | number = string | num
     readonly touched: Signal<boolean>;
     /**
      * A signal indicating whether field value has been changed by user.
+     *
+     * How this is determined depends on the field's {@link DirtyTrackingMode}.
      */
     readonly dirty: Signal<boolean>;
     /**
@@ -1300,9 +1917,33 @@ interface ReadonlyFieldState<TValue, TKey extends string | number = string | num
      */
     readonly errors: Signal<ValidationError.WithFieldTree[]>;
     /**
-     * A signal containing the {@link errors} of the field and its descendants.
+     * A signal containing the {@link errors} of the field and its descendants, ordered according
+     * to the form's {@link FormOptions#errorSummaryOrder errorSummaryOrder}.
      */
     readonly errorSummary: Signal<ValidationError.WithFieldTree[]>;
+    /**
+     * A signal containing the {@link errors} of the field if they should be shown to the user
+     * according to the field's {@link ErrorVisibility error visibility policy}, or an empty array.
+     */
+    readonly visibleErrors: Signal<ValidationError.WithFieldTree[]>;
+    /**
+     * A signal containing the errors in {@link errorSummary} whose fields' errors should be shown
+     * to the user according to their {@link ErrorVisibility error visibility policy}.
+     */
+    readonly visibleErrorSummary: Signal<ValidationError.WithFieldTree[]>;
+    /**
+     * A signal containing the warnings of the field itself, excluding its descendants.
+     *
+     * Warnings are produced by `warn` and `warnAsync` rules. Unlike {@link errors}, they do not
+     * affect the field's {@link valid}, {@link invalid} or {@link pending} state, and do not
+     * prevent the form from being submitted.
+     */
+    readonly warnings: Signal<ValidationError.WithFieldTree[]>;
+    /**
+     * A signal containing the {@link warnings} of the field and its descendants, ordered the same
+     * way as {@link errorSummary}.
+     */
+    readonly warningSummary: Signal<ValidationError.WithFieldTree[]>;
     /**
      * A signal indicating whether the field's value is currently valid.
      *
@@ -1335,6 +1976,27 @@ interface ReadonlyFieldState<TValue, TKey extends string | number = string | num
      * A signal indicating whether the field is currently in the process of being submitted.
      */
     readonly submitting: Signal<boolean>;
+    /**
+     * The number of times this field or one of its ancestors has been submitted since it was
+     * created or last {@link FieldState#reset reset}. Submits that are skipped because another
+     * submit is already in progress, or that are cancelled, are not counted.
+     */
+    readonly submitCount: Signal<number>;
+    /**
+     * A signal indicating whether a submit of this field or one of its ancestors has been attempted
+     * since it was created or last {@link FieldState#reset reset}, regardless of its outcome.
+     */
+    readonly submitted: Signal<boolean>;
+    /**
+     * The outcome of the most recent submit affecting this field, or `undefined` if it has not
+     * been submitted.
+     */
+    readonly lastSubmitResult: Signal<SubmitResult | undefined>;
+    /**
+     * The time at which the most recent submit affecting this field finished, or `undefined` if
+     * it has not been submitted.
+     */
+    readonly lastSubmittedAt: Signal<Date | undefined>;
     /**
      * The property key in the parent field under which this field is stored. If the parent field is
      * array-valued, for example, this is the index of this field in that array.
@@ -1418,13 +2080,23 @@ interface FieldState<TValue, TKey extends string | number = string | number> ext
     }> & ValidationError.WithFieldTree) | undefined;
     getError(kind: string): ValidationError.WithFieldTree | undefined;
     /**
-     * Resets the {@link touched} and {@link dirty} state of the field and its descendants.
+     * Resets the {@link touched} and {@link dirty} state, the submission errors, the parse errors
+     * and the submission history of the field and its descendants, and captures the field's current
+     * value as its {@link initialValue}. Each of these can be kept with the matching
+     * {@link ResetOptions} flag.
      *
-     * Note this does not change the data model, which can be reset directly if desired.
+     * @param value Optional value to set to the form. If not passed, the fields in this subtree that
+     *   declare a `defaultValue` are restored to it, and other values are left unchanged.
+     * @param options Options to keep parts of the field's state.
+     */
+    reset(value?: TValue, options?: ResetOptions): void;
+    /**
+     * Restores the declared `defaultValue` of the fields in this subtree and resets their state.
+     * Equivalent to calling {@link reset} without a value.
      *
-     * @param value Optional value to set to the form. If not passed, the value will not be changed.
+     * @param options Options to keep parts of the field's state.
      */
-    reset(value?: TValue): void;
+    resetToDefaults(options?: ResetOptions): void;
     /**
      * Reloads all asynchronous validators for this field and its descendants.
      */
@@ -1480,10 +2152,17 @@ interface FormFieldBinding {
      * The {@link FieldState} of the field bound to the {@link FormField} directive.
      */
     readonly state: Signal<ReadonlyFieldState<unknown>>;
+    /**
+     * The errors associated with this field binding that should be shown to the user according to
+     * the field's {@link ErrorVisibility error visibility policy}. Use this rather than
+     * `state().invalid()` in {@link SignalFormsConfig#classes} to follow the policy.
+     */
+    readonly visibleErrors: Signal<ValidationError.WithFieldTree[]>;
     /**
      * Focuses this field binding.
      *
-     * By default, this will focus {@link element}. However, custom controls can implement their own
+     * By default, this will focus {@link element}, or its first focusable descendant if
+     * {@link element} itself cannot receive focus. However, custom controls can implement their own
      * focus behavior.
      */
     focus(options?: FocusOptions): void;
@@ -1554,7 +2233,13 @@ type CompatSchemaPath<TControl extends AbstractControl, TPathKind extends PathKi
  */
 type SchemaPathTree<TModel, TPathKind extends PathKind = PathKind.Root> = ([TModel] extends [AbstractControl] ? CompatSchemaPath<TModel, TPathKind> : SchemaPath<TModel, SchemaPathRules.Supported, TPathKind>) & ([TModel] extends [AbstractControl] ? unknown : [
     TModel
-] extends [ReadonlyArray<any>] ? unknown : TModel extends Record<string, any> ? {
+] extends [ReadonlyArray<any>] ? unknown : [
+    TModel
+] extends [ReadonlyMap<string, infer V>] ? {
+    readonly [key: string]: MaybeSchemaPathTree<V, PathKind.Child>;
+} : [
+    TModel
+] extends [ReadonlySet<any>] ? unknown : TModel extends Record<string, any> ? {
     [K in keyof TModel]: MaybeSchemaPathTree<TModel[K], PathKind.Child>;
 } : unknown);
 /**
@@ -1758,11 +2443,11 @@ interface ItemFieldContext<TValue> extends ChildFieldContext<TValue> {
     readonly index: Signal<number>;
 }
 /**
- * Gets the item type of an object that is possibly an array.
+ * Gets the item type of an object that is possibly an array or a `Map`.
  *
  * @publicApi 22.0
  */
-type ItemType<T extends Object> = T extends ReadonlyArray<any> ? T[number] : T[keyof T];
+type ItemType<T extends Object> = T extends ReadonlyArray<any> ? T[number] : T extends ReadonlyMap<any, infer V> ? V : T[keyof T];
 /**
  * A function that defines custom debounce logic for a field.
  *
@@ -1778,6 +2463,40 @@ type ItemType<T extends Object> = T extends ReadonlyArray<any> ? T[number] : T[k
  */
 type Debouncer<TValue, TPathKind extends PathKind = PathKind.Root> = (context: FieldContext<TValue, TPathKind>, abortSignal: AbortSignal) => Promise<void> | void;
 
+/**
+ * Information about the field an error belongs to, passed to an {@link ErrorMessageResolver}.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface ErrorMessageContext {
+    /** The {@link LABEL} of the field the error belongs to, if it has one. */
+    readonly label: string | undefined;
+}
+/**
+ * Produces the message for an error that was created without one. Returning a signal lets the
+ * message follow changes such as the current locale.
+ *
+ * @template TError The type of error the resolver handles.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+type ErrorMessageResolver<TError extends ValidationError = ValidationError> = (error: TError, context: ErrorMessageContext) => string | Signal<string> | undefined;
+/**
+ * A registry of {@link ErrorMessageResolver}s keyed by error kind. Resolvers for the built-in
+ * error kinds receive the corresponding error class, e.g. `MinValidationError` for `min`.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+type ErrorMessageResolvers = {
+    [K in NgValidationError['kind']]?: ErrorMessageResolver<Extract<NgValidationError, {
+        kind: K;
+    }>>;
+} & {
+    [kind: string]: ErrorMessageResolver<any> | undefined;
+};
 /**
  * Configuration options for signal forms.
  *
@@ -1790,6 +2509,24 @@ interface SignalFormsConfig {
     classes?: {
         [className: string]: (formField: FormFieldBinding) => boolean;
     };
+    /**
+     * Whether to focus the first invalid control when a submit fails, for submits that don't
+     * specify {@link FormSubmitOptions#focusOnInvalid}.
+     */
+    focusOnInvalid?: boolean | FocusOnInvalidOptions;
+    /**
+     * When the errors of fields should be shown to the user, for fields that don't configure it
+     * with the `errorVisibility` rule. Defaults to `'always'`. {@link FormField} sets `aria-invalid`
+     * on its host element while the field has visible errors.
+     */
+    errorVisibility?: ErrorVisibility;
+    /**
+     * Resolvers for the messages of errors and warnings that were created without a `message`,
+     * keyed by error kind. Resolved messages are reflected in `errors()`, `errorSummary()` and the
+     * form's WebMCP tool output. These report copies of the errors returned by validators that carry
+     * the resolved message; the original error objects are left untouched.
+     */
+    errorMessages?: ErrorMessageResolvers;
 }
 /**
  * Provides configuration options for signal forms.
@@ -1829,6 +2566,27 @@ interface FormOptions<TModel> {
     };
     /** Options that define how to handle form submission. */
     submission?: FormSubmitOptions<TModel, unknown>;
+    /**
+     * How fields determine whether they are dirty, unless configured otherwise with the
+     * `dirtyTracking` rule. Defaults to `'interaction'`.
+     */
+    dirtyTracking?: DirtyTrackingMode;
+    /**
+     * How errors are ordered in {@link ReadonlyFieldState#errorSummary errorSummary}:
+     * - 'dom': By the document position of the controls bound to the erroring fields (default)
+     * - 'schema': By the order in which the fields' paths are first referenced in the schema
+     * - 'model': By the order of the fields in the model, following object key and array order
+     *
+     * Fields that cannot be ordered by the selected strategy, such as fields without a bound
+     * control or when rendering on the server, fall back to 'model' order. Errors on the same field
+     * keep the order in which they were reported.
+     */
+    errorSummaryOrder?: 'dom' | 'schema' | 'model';
+    /**
+     * Options to automatically save the form's model as a draft and restore it when the form is
+     * created again.
+     */
+    persistence?: FormPersistenceOptions<TModel>;
 }
 /**
  * Creates a form wrapped around the given model data. A form is represented as simply a `FieldTree`
@@ -1953,6 +2711,34 @@ declare function form<TModel>(model: WritableSignal<TModel>, schemaOrOptions: Sc
  * @publicApi 22.0
  */
 declare function form<TModel>(model: WritableSignal<TModel>, schema: SchemaOrSchemaFn<TModel>, options: FormOptions<TModel>): FieldTree<TModel>;
+/**
+ * A function that returns a key identifying an array item, used to match the item to its field when
+ * the array changes.
+ *
+ * @template TItem The array item type.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+type TrackByFn<TItem> = (item: TItem) => unknown;
+/**
+ * Options for {@link applyEach}.
+ *
+ * @template TItem The array item type.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface ApplyEachOptions<TItem> {
+    /**
+     * Identifies the array items, so that each item keeps its field (and with it, its state) when the
+     * array is reordered or an item is replaced by a new value with the same key.
+     *
+     * By default, object items are identified by reference and primitive items by their index.
+     * Items that share a key with an earlier item are identified by their index.
+     */
+    trackBy?: TrackByFn<TItem>;
+}
 /**
  * Applies a schema to each item of an array.
  *
@@ -1970,6 +2756,7 @@ declare function form<TModel>(model: WritableSignal<TModel>, schema: SchemaOrSch
  * @param path The target path for an array field whose items the schema will be applied to.
  * @param schema A schema for an element of the array, or function that binds logic to an
  * element of the array.
+ * @param options Options for the array items, such as how they are identified.
  * @template TValue The data type of the item field to apply the schema to.
  *
  * @see [Array items with applyEach](guide/forms/signals/schemas#array-items-with-applyeach)
@@ -1977,7 +2764,7 @@ declare function form<TModel>(model: WritableSignal<TModel>, schema: SchemaOrSch
  * @category structure
  * @publicApi 22.0
  */
-declare function applyEach<TValue extends ReadonlyArray<any>>(path: SchemaPath<TValue>, schema: NoInfer<SchemaOrSchemaFn<TValue[number], PathKind.Item>>): void;
+declare function applyEach<TValue extends ReadonlyArray<any>>(path: SchemaPath<TValue>, schema: NoInfer<SchemaOrSchemaFn<TValue[number], PathKind.Item>>, options?: NoInfer<ApplyEachOptions<TValue[number]>>): void;
 declare function applyEach<TValue extends Object>(path: SchemaPath<TValue>, schema: NoInfer<SchemaOrSchemaFn<ItemType<TValue>, PathKind.Child>>): void;
 /**
  * Applies a predefined schema to a given `FieldPath`.
@@ -2092,6 +2879,257 @@ declare function applyWhenValue<TValue>(path: SchemaPath<TValue>, predicate: (va
  */
 declare function submit<TModel>(form: FieldTree<TModel>, options?: NoInfer<FormSubmitOptions<unknown, TModel>>): Promise<boolean>;
 declare function submit<TModel>(form: FieldTree<TModel>, action: NoInfer<FormSubmitOptions<unknown, TModel>['action']>): Promise<boolean>;
+/**
+ * Cancels the in-progress submission of the given field, of the ancestor whose submission
+ * includes it, and of any of its descendants.
+ *
+ * The `AbortSignal` passed to the submit action is aborted, the field stops
+ * {@link ReadonlyFieldState#submitting submitting} immediately, and the pending `submit()` call
+ * resolves to `false` once the action settles, ignoring its result.
+ *
+ * @param form The field whose submission to cancel.
+ * @returns Whether there was a submission to cancel.
+ *
+ * @category submission
+ * @publicApi 22.2
+ */
+declare function cancelSubmit(form: FieldTree<unknown>): boolean;
+/**
+ * Options for {@link formHistory}.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FormHistoryOptions {
+    /**
+     * The maximum number of entries kept on the undo stack. When exceeded, the oldest entries are
+     * discarded. Defaults to unlimited.
+     */
+    maxSize?: number;
+}
+/**
+ * An undo/redo stack for a field and its descendants, created with {@link formHistory}.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FormHistory {
+    /**
+     * A signal indicating whether there is a previous state that {@link undo} can restore.
+     */
+    readonly canUndo: Signal<boolean>;
+    /**
+     * A signal indicating whether there is an undone state that {@link redo} can restore.
+     */
+    readonly canRedo: Signal<boolean>;
+    /**
+     * Restores the value and dirty state of the field and its descendants to the state before the
+     * last committed write. Pending debounced updates are committed first, so they are the first
+     * to be undone.
+     *
+     * @returns Whether a previous state was restored.
+     */
+    undo(): boolean;
+    /**
+     * Re-applies the last state reverted by {@link undo}.
+     *
+     * @returns Whether an undone state was restored.
+     */
+    redo(): boolean;
+    /**
+     * Discards all undo and redo entries, keeping the current state as the starting point.
+     */
+    clear(): void;
+}
+/**
+ * Creates an undo/redo history for the given field and its descendants.
+ *
+ * The history records every write to the field's value: writes committed from a bound control
+ * (i.e. after any debounce), calls to `reset()`, and programmatic writes such as `value.set()` or
+ * writes to the underlying model. Writes are recorded when effects run, so several writes made in
+ * the same task become a single entry; `canUndo`, `undo()` and `redo()` take a write that is not
+ * recorded yet into account. Each entry captures the value together with the dirty state of the
+ * field and its descendants. Array items are restored by reference, and their dirty state follows
+ * the item rather than its index, so their fields keep their identity across undo and redo.
+ *
+ * Restoring an entry on a subtree is itself recorded as a write by any history on an ancestor field.
+ * A history is discarded when its field is removed from the form or when the form's injector is
+ * destroyed; after that, `undo()` and `redo()` return `false`.
+ *
+ * @example
+ * ```ts
+ * const profileForm = form(signal({name: '', tags: [] as string[]}));
+ * const history = formHistory(profileForm);
+ *
+ * // Bound to a keyboard shortcut:
+ * if (history.canUndo()) {
+ *   history.undo();
+ * }
+ * ```
+ *
+ * @param field The field whose value and dirty state should be tracked.
+ * @param options Options for the history.
+ * @returns The history for the field.
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function formHistory<TModel>(field: FieldTree<TModel>, options?: FormHistoryOptions): FormHistory;
+/**
+ * The interaction state of a single field captured in a {@link FormSnapshot}.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FieldStateSnapshot {
+    /** Whether the field itself was marked as touched. */
+    touched: boolean;
+    /** Whether the field itself was marked as dirty. */
+    dirty: boolean;
+    /** The submission errors of the field, without their `fieldTree`. */
+    submissionErrors?: ValidationError.WithoutFieldTree[];
+    /** The state of the field's children that had been created, by property key. */
+    children?: Record<string, FieldStateSnapshot>;
+}
+/**
+ * A plain object capturing the value and interaction state of a field and its descendants, created
+ * with {@link createFormSnapshot}.
+ *
+ * A snapshot can be passed to `JSON.stringify` as long as the model value and the submission errors
+ * are serializable.
+ *
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface FormSnapshot<TModel> {
+    /** The value of the field. */
+    value: TModel;
+    /** The touched, dirty and submission error state of the field and its descendants. */
+    state: FieldStateSnapshot;
+}
+/**
+ * Captures the value, touched and dirty state, and submission errors of a field and its descendants.
+ *
+ * @example
+ * ```ts
+ * sessionStorage.setItem('checkout', JSON.stringify(createFormSnapshot(checkoutForm)));
+ * ```
+ *
+ * @param field The field to capture.
+ * @returns A snapshot that can later be passed to {@link restoreFormSnapshot}.
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function createFormSnapshot<TModel>(field: FieldTree<TModel>): FormSnapshot<TModel>;
+/**
+ * Restores a field and its descendants to the state captured by {@link createFormSnapshot}.
+ *
+ * The snapshot's value is written to the model, after which the touched and dirty state and the
+ * submission errors of each field are set to the captured values. Fields that are not part of the
+ * snapshot are reset to untouched and pristine, with no submission errors.
+ *
+ * @example
+ * ```ts
+ * const saved = sessionStorage.getItem('checkout');
+ * if (saved) {
+ *   restoreFormSnapshot(checkoutForm, JSON.parse(saved));
+ * }
+ * ```
+ *
+ * @param field The field to restore.
+ * @param snapshot The snapshot to restore.
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function restoreFormSnapshot<TModel>(field: FieldTree<TModel>, snapshot: FormSnapshot<NoInfer<TModel>>): void;
+/**
+ * A type that recursively makes all properties of T optional.
+ * Used for the result of `dirtyValue`, and of `extractValue` when filtering is applied.
+ * @publicApi 22.0
+ */
+type DeepPartial<T> = (T extends (infer U)[] ? DeepPartial<U>[] : T extends object ? {
+    [K in keyof T]?: DeepPartial<T[K]>;
+} : T) | undefined;
+/**
+ * A single operation of an [RFC 6902](https://www.rfc-editor.org/rfc/rfc6902) JSON Patch document.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+type JsonPatchOperation = {
+    op: 'add' | 'replace';
+    path: string;
+    value: unknown;
+} | {
+    op: 'remove';
+    path: string;
+} | {
+    op: 'move';
+    from: string;
+    path: string;
+};
+/**
+ * Extracts the parts of a field's value that are dirty.
+ *
+ * Objects only include the properties whose fields are dirty. Arrays and other values are included
+ * as a whole when their field is dirty. When an object is dirty without any of its properties being
+ * dirty, the whole object is included.
+ *
+ * This function is reactive when called within a reactive context.
+ *
+ * @example
+ * ```ts
+ * const userForm = form(signal({name: 'Alex', address: {city: 'Oslo', zip: '0150'}}));
+ * // The user changes the city.
+ * dirtyValue(userForm); // {address: {city: 'Bergen'}}
+ * ```
+ *
+ * @param field The field to extract the dirty value of.
+ * @returns The dirty parts of the value, or `undefined` if the field is not dirty.
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function dirtyValue<TModel>(field: FieldTree<TModel>): DeepPartial<TModel>;
+/**
+ * Computes an [RFC 6902](https://www.rfc-editor.org/rfc/rfc6902) JSON Patch that transforms the
+ * field's `initialValue` into its current value.
+ *
+ * Paths are relative to the given field. Array items that are objects are matched by identity, so
+ * inserting, removing or reordering items produces `add`, `remove` and `move` operations rather
+ * than replacing every item after the change. Arrays of primitive values are compared by index.
+ * Entries of a `Map` are addressed by their key, like object properties, while a `Set` is replaced
+ * as a whole. Values in the patch are taken from the model as they are, so `Map` and `Set` values
+ * must be converted before the patch is serialized.
+ *
+ * Unlike {@link dirtyValue}, the patch is based on the value alone and includes programmatic changes
+ * to the model.
+ *
+ * This function is reactive when called within a reactive context.
+ *
+ * @example
+ * ```ts
+ * const userForm = form(signal({name: 'Alex', tags: [{label: 'a'}, {label: 'b'}]}));
+ * userForm.tags().value.update(([a, b]) => [b]);
+ * dirtyPatch(userForm); // [{op: 'remove', path: '/tags/0'}]
+ * ```
+ *
+ * @param field The field to compute the patch for.
+ * @returns The patch operations, in the order they must be applied.
+ * @template TModel The data type of the field.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function dirtyPatch<TModel>(field: FieldTree<TModel>): JsonPatchOperation[];
 /**
  * Creates a `Schema` that adds logic rules to a form.
  * @param fn A **non-reactive** function that sets up reactive logic rules for the form.
@@ -2105,5 +3143,5 @@ declare function submit<TModel>(form: FieldTree<TModel>, action: NoInfer<FormSub
  */
 declare function schema<TValue>(fn: SchemaFn<TValue>): Schema<TValue>;
 
-export { BaseNgValidationError, EmailValidationError, FORM_FIELD, FormField, IS_ASYNC_VALIDATION_RESOURCE, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MetadataKey, MetadataReducer, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PathKind, PatternValidationError, REQUIRED, RequiredValidationError, SchemaPathRules, StandardSchemaValidationError, ValidationError, apply, applyEach, applyWhen, applyWhenValue, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, emailError, form, maxDateError, maxError, maxLengthError, metadata, minDateError, minError, minLengthError, patternError, provideSignalFormsConfig, requiredError, schema, standardSchemaError, submit, validateStandardSchema, ɵNgFieldDirective };
-export type { AsyncValidationResult, ChildFieldContext, CompatFieldState, CompatSchemaPath, Debouncer, DisabledReason, Field, FieldContext, FieldState, FieldStateByMode, FieldTree, FieldValidator, FormFieldBinding, FormFieldBindingOptions, FormOptions, FormSubmitOptions, IgnoreUnknownProperties, ItemFieldContext, ItemType, LimitKey, LimitSelectionKey, LogicFn, MarkAsTouchedOptions, MaybeFieldTree, MaybeSchemaPathTree, MetadataSetterType, OneOrMany, ReadonlyArrayLike, ReadonlyCompatFieldState, ReadonlyFieldState, ReadonlyFieldTree, RemoveStringIndexUnknownKey, RootFieldContext, Schema, SchemaFn, SchemaOrSchemaFn, SchemaPath, SchemaPathTree, SignalFormsConfig, Subfields, TreeValidationResult, TreeValidator, ValidationErrorOptions, ValidationResult, ValidationSuccess, Validator, WithFieldTree, WithOptionalFieldTree, WithoutFieldTree };
+export { BaseNgValidationError, DateRangeOrderValidationError, EmailValidationError, FORM_FIELD, FormField, IS_ASYNC_VALIDATION_RESOURCE, LABEL, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MatchesFieldValidationError, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MetadataKey, MetadataReducer, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PathKind, PatternValidationError, REQUIRED, RequiredOneOfValidationError, RequiredValidationError, SchemaPathRules, StandardSchemaValidationError, SumEqualsValidationError, TimeoutValidationError, UniqueValidationError, ValidationError, apply, applyEach, applyWhen, applyWhenValue, cancelSubmit, createFormSnapshot, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, dateRangeOrderError, dirtyPatch, dirtyValue, emailError, form, formHistory, matchesFieldError, maxDateError, maxError, maxLengthError, metadata, minDateError, minError, minLengthError, patternError, provideSignalFormsConfig, requiredError, requiredOneOfError, restoreFormSnapshot, schema, standardSchemaError, submit, sumEqualsError, timeoutError, uniqueError, validateStandardSchema, valibotIssueMapper, zodIssueMapper, ɵNgFieldDirective };
+export type { ApplyEachOptions, AsyncValidationResult, ChildFieldContext, CompatFieldState, CompatSchemaPath, Debouncer, DeepPartial, DirtyTrackingMode, DisabledReason, ErrorMessageContext, ErrorMessageResolver, ErrorMessageResolvers, ErrorVisibility, Field, FieldArrayMethods, FieldContext, FieldSetMethods, FieldState, FieldStateByMode, FieldStateSnapshot, FieldTree, FieldValidator, FocusOnInvalidOptions, FormFieldBinding, FormFieldBindingOptions, FormHistory, FormHistoryOptions, FormOptions, FormPersistenceAdapter, FormPersistenceOptions, FormSnapshot, FormSubmitOptions, IgnoreUnknownProperties, ItemFieldContext, ItemType, JsonPatchOperation, LimitKey, LimitSelectionKey, LogicFn, MapSubfields, MarkAsTouchedOptions, MaybeFieldTree, MaybeSchemaPathTree, MetadataSetterType, OneOrMany, PersistedFormDraft, ReadonlyArrayLike, ReadonlyCompatFieldState, ReadonlyFieldState, ReadonlyFieldTree, RemoveStringIndexUnknownKey, ResetOptions, RootFieldContext, Schema, SchemaFn, SchemaOrSchemaFn, SchemaPath, SchemaPathTree, SignalFormsConfig, StandardSchemaIssueContext, StandardSchemaIssueMapper, StandardSchemaValidationOptions, Subfields, SubmitResult, TrackByFn, TreeValidationResult, TreeValidator, ValidationErrorOptions, ValidationResult, ValidationSuccess, Validator, WithFieldTree, WithOptionalFieldTree, WithoutFieldTree };
@@ -5,7 +5,7 @@
  */
 
 import { WritableSignal, EventEmitter } from '@angular/core';
-import { FormOptions, FieldTree, SchemaOrSchemaFn, ValidationError, ReadonlyFieldTree, SignalFormsConfig, SchemaFn } from './signals.js';
+import { FormOptions, FieldTree, DeepPartial, SchemaOrSchemaFn, ValidationError, ReadonlyFieldTree, SignalFormsConfig, SchemaFn } from './signals.js';
 import { AbstractControl, FormControlStatus, FormControlState } from '@angular/forms';
 import '@standard-schema/spec';
 
@@ -129,14 +129,6 @@ declare function compatForm<TModel>(model: WritableSignal<TModel>, schema: Schem
 type RawValue<T> = T extends AbstractControl<infer TValue, any> ? TValue : T extends (infer U)[] ? RawValue<U>[] : T extends object ? {
     [K in keyof T]: RawValue<T[K]>;
 } : T;
-/**
- * A type that recursively makes all properties of T optional.
- * Used for the result of `extractValue` when filtering is applied.
- * @publicApi 22.0
- */
-type DeepPartial<T> = (T extends (infer U)[] ? DeepPartial<U>[] : T extends object ? {
-    [K in keyof T]?: DeepPartial<T[K]>;
-} : T) | undefined;
 /**
  * Criteria that determine whether a field should be included in the extraction.
  *
@@ -201,6 +193,10 @@ declare class CompatValidationError<T = unknown> implements ValidationError {
  * A value that can be used for `SignalFormsConfig.classes` to automatically add
  * the `ng-*` status classes from reactive forms.
  *
+ * `ng-invalid` is applied while the field has errors that are visible according to its error
+ * visibility policy, and `ng-valid` while it has none and is not pending. Without a policy, all
+ * errors are visible, as in reactive forms.
+ *
  * @see [Automatic status classes](guide/forms/signals/migration#automatic-status-classes)
  *
  * @publicApi 22.0
@@ -4,11 +4,12 @@
  * License: MIT
  */
 
-import { PathKind, SchemaPath, SchemaPathRules, LogicFn, OneOrMany, ValidationError, FieldValidator, FieldContext, TreeValidationResult, TreeValidator, FieldTree, WithOptionalFieldTree, DisabledReason, Debouncer } from './_structure-chunk.js';
-export { AsyncValidationResult, BaseNgValidationError, ChildFieldContext, CompatFieldState, CompatSchemaPath, EmailValidationError, FORM_FIELD, Field, FieldState, FieldStateByMode, FormField, FormFieldBinding, FormFieldBindingOptions, FormOptions, FormSubmitOptions, IS_ASYNC_VALIDATION_RESOURCE, IgnoreUnknownProperties, ItemFieldContext, ItemType, LimitKey, LimitSelectionKey, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MarkAsTouchedOptions, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MaybeFieldTree, MaybeSchemaPathTree, MetadataKey, MetadataReducer, MetadataSetterType, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PatternValidationError, REQUIRED, ReadonlyArrayLike, ReadonlyCompatFieldState, ReadonlyFieldState, ReadonlyFieldTree, RemoveStringIndexUnknownKey, RequiredValidationError, RootFieldContext, Schema, SchemaFn, SchemaOrSchemaFn, SchemaPathTree, SignalFormsConfig, StandardSchemaValidationError, Subfields, ValidationErrorOptions, ValidationResult, ValidationSuccess, Validator, WithFieldTree, WithoutFieldTree, apply, applyEach, applyWhen, applyWhenValue, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, emailError, form, maxDateError, maxError, maxLengthError, metadata, minDateError, minError, minLengthError, patternError, provideSignalFormsConfig, requiredError, schema, standardSchemaError, submit, validateStandardSchema, ɵNgFieldDirective } from './_structure-chunk.js';
+import { PathKind, SchemaPath, SchemaPathRules, LogicFn, OneOrMany, ValidationError, FieldValidator, FieldContext, TreeValidationResult, TreeValidator, FieldTree, WithOptionalFieldTree, DisabledReason, Debouncer, FormPersistenceAdapter, DirtyTrackingMode, TrackByFn, ErrorVisibility } from './_structure-chunk.js';
+export { ApplyEachOptions, AsyncValidationResult, BaseNgValidationError, ChildFieldContext, CompatFieldState, CompatSchemaPath, DateRangeOrderValidationError, DeepPartial, EmailValidationError, ErrorMessageContext, ErrorMessageResolver, ErrorMessageResolvers, FORM_FIELD, Field, FieldArrayMethods, FieldSetMethods, FieldState, FieldStateByMode, FieldStateSnapshot, FocusOnInvalidOptions, FormField, FormFieldBinding, FormFieldBindingOptions, FormHistory, FormHistoryOptions, FormOptions, FormPersistenceOptions, FormSnapshot, FormSubmitOptions, IS_ASYNC_VALIDATION_RESOURCE, IgnoreUnknownProperties, ItemFieldContext, ItemType, JsonPatchOperation, LABEL, LimitKey, LimitSelectionKey, MAX, MAX_DATE, MAX_LENGTH, MAX_NUMBER, MIN, MIN_DATE, MIN_LENGTH, MIN_NUMBER, MapSubfields, MarkAsTouchedOptions, MatchesFieldValidationError, MaxDateValidationError, MaxLengthValidationError, MaxValidationError, MaybeFieldTree, MaybeSchemaPathTree, MetadataKey, MetadataReducer, MetadataSetterType, MinDateValidationError, MinLengthValidationError, MinValidationError, NativeInputParseError, NgValidationError, PATTERN, PatternValidationError, PersistedFormDraft, REQUIRED, ReadonlyArrayLike, ReadonlyCompatFieldState, ReadonlyFieldState, ReadonlyFieldTree, RemoveStringIndexUnknownKey, RequiredOneOfValidationError, RequiredValidationError, ResetOptions, RootFieldContext, Schema, SchemaFn, SchemaOrSchemaFn, SchemaPathTree, SignalFormsConfig, StandardSchemaIssueContext, StandardSchemaIssueMapper, StandardSchemaValidationError, StandardSchemaValidationOptions, Subfields, SubmitResult, SumEqualsValidationError, TimeoutValidationError, UniqueValidationError, ValidationErrorOptions, ValidationResult, ValidationSuccess, Validator, WithFieldTree, WithoutFieldTree, apply, applyEach, applyWhen, applyWhenValue, cancelSubmit, createFormSnapshot, createLimitSelectionKey, createManagedMetadataKey, createMetadataKey, dateRangeOrderError, dirtyPatch, dirtyValue, emailError, form, formHistory, matchesFieldError, maxDateError, maxError, maxLengthError, metadata, minDateError, minError, minLengthError, patternError, provideSignalFormsConfig, requiredError, requiredOneOfError, restoreFormSnapshot, schema, standardSchemaError, submit, sumEqualsError, timeoutError, uniqueError, validateStandardSchema, valibotIssueMapper, zodIssueMapper, ɵNgFieldDirective } from './_structure-chunk.js';
 import * as i0 from '@angular/core';
-import { DebounceTimer, Signal, Resource, InputSignal, InputSignalWithTransform, OutputRef, ModelSignal, WritableSignal, EnvironmentProviders } from '@angular/core';
+import { DebounceTimer, Signal, Resource, InjectionToken, Provider, InputSignal, InputSignalWithTransform, OutputRef, ModelSignal, WritableSignal, EnvironmentProviders } from '@angular/core';
 import { HttpResourceRequest, HttpResourceOptions } from '@angular/common/http';
+import { Observable } from 'rxjs';
 import '@angular/forms';
 import '@standard-schema/spec';
 
@@ -297,6 +298,136 @@ declare function required<TValue, TPathKind extends PathKind = PathKind.Root>(pa
     when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
 }): void;
 
+/**
+ * Binds a validator to the given path that requires the value to equal the value of another
+ * field, e.g. a password confirmation. Empty values are not validated.
+ *
+ * @param path Path of the field to validate
+ * @param otherPath Path of the field whose value must be matched
+ * @param config Optional, allows providing any of the following options:
+ *  - `message`: A user-facing message for the error.
+ *  - `error`: Custom validation error(s) to be used instead of the default `MatchesFieldValidationError`
+ *    or a function that receives the `FieldContext` and returns custom validation error(s).
+ *  - `when`: A function that receives the `FieldContext` and returns true if the validator should be applied.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function matchesField<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, otherPath: SchemaPath<NoInfer<TValue>, SchemaPathRules>, config?: BaseValidatorConfig<TValue, TPathKind>): void;
+/**
+ * Binds a validator to the given path that requires the value to be non-empty while the given
+ * predicate returns true. This is a shorthand for `required` with a `when` option, and likewise
+ * adds the `REQUIRED` property to the field.
+ *
+ * @param path Path of the field to validate
+ * @param predicate A function that receives the `FieldContext` and returns true if the field is required.
+ * @param config Optional, allows providing any of the following options:
+ *  - `message`: A user-facing message for the error.
+ *  - `error`: Custom validation error(s) to be used instead of the default `RequiredValidationError`
+ *    or a function that receives the `FieldContext` and returns custom validation error(s).
+ *  - `when`: An additional condition that must also hold for the field to be required.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function requiredIf<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, predicate: NoInfer<LogicFn<TValue, boolean, TPathKind>>, config?: BaseValidatorConfig<TValue, TPathKind>): void;
+/**
+ * Binds a validator to the given paths that requires at least one of them to be non-empty. While
+ * all of them are empty, a single `RequiredOneOfValidationError` is reported on the first field of
+ * the group. Its `fields` lists every field of the group.
+ *
+ * @param paths Paths of the fields of which at least one must have a value
+ * @param config Optional, allows providing any of the following options:
+ *  - `message`: A user-facing message for the error.
+ *  - `error`: Custom validation error(s) to be used instead of the default `RequiredOneOfValidationError`
+ *    or a function that receives the `FieldContext` and returns custom validation error(s).
+ *  - `when`: A function that receives the `FieldContext` and returns true if the validator should be applied.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function requiredOneOf(paths: readonly SchemaPath<unknown, SchemaPathRules.Supported, PathKind>[], config?: BaseValidatorConfig<unknown, PathKind>): void;
+/**
+ * Binds a validator to the end of a date range that requires it not to be before the start of
+ * the range. The error is reported on the end field. Empty (`null` or `undefined`) or invalid dates
+ * are not validated.
+ *
+ * @param startPath Path of the field holding the start of the range
+ * @param endPath Path of the field holding the end of the range
+ * @param config Optional, allows providing any of the following options:
+ *  - `allowEqual`: Whether the range may start and end on the same date. Defaults to `true`.
+ *  - `message`: A user-facing message for the error.
+ *  - `error`: Custom validation error(s) to be used instead of the default `DateRangeOrderValidationError`
+ *    or a function that receives the `FieldContext` and returns custom validation error(s).
+ *  - `when`: A function that receives the `FieldContext` and returns true if the validator should be applied.
+ * @template TValue The type of value stored in the end field.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function dateRangeOrder<TValue extends Date | null, TPathKind extends PathKind = PathKind.Root>(startPath: SchemaPath<Date | null, SchemaPathRules>, endPath: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, config?: BaseValidatorConfig<TValue, TPathKind> & {
+    allowEqual?: boolean;
+}): void;
+/**
+ * Binds a validator to the given number paths that requires their values to add up to the given
+ * total. Empty values count as zero, and the comparison allows for floating point rounding. While
+ * the sum is off, a single `SumEqualsValidationError` is reported on the first field of the group.
+ * Its `fields` lists every field of the group.
+ *
+ * @param paths Paths of the number fields to add up
+ * @param total The expected total, or a LogicFn that returns it.
+ * @param config Optional, allows providing any of the following options:
+ *  - `message`: A user-facing message for the error.
+ *  - `error`: Custom validation error(s) to be used instead of the default `SumEqualsValidationError`
+ *    or a function that receives the `FieldContext` and returns custom validation error(s).
+ *  - `when`: A function that receives the `FieldContext` and returns true if the validator should be applied.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function sumEquals(paths: readonly SchemaPath<number | null, SchemaPathRules.Supported, PathKind>[], total: number | LogicFn<number | null, number | undefined, PathKind>, config?: BaseValidatorConfig<number | null, PathKind>): void;
+/**
+ * Options for the {@link unique} validator.
+ *
+ * @template TValue The type of the array being validated.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface UniqueValidatorConfig<TValue extends readonly unknown[], TPathKind extends PathKind = PathKind.Root> {
+    /**
+     * Returns the key items are compared by. Defaults to the item itself. Items whose key is
+     * `undefined`, `null` or an empty string are never considered duplicates.
+     */
+    by?: (item: TValue[number]) => unknown;
+    /** Whether to also report an error on the array for each duplicated key. */
+    reportOnArray?: boolean;
+    /** A user-facing error message to include with the errors. */
+    message?: string | LogicFn<TValue, string, TPathKind>;
+    /** A function that receives the `FieldContext` and returns true if the validator should be applied. */
+    when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
+}
+/**
+ * Binds a validator to the given array path that requires its items to be unique. A
+ * `UniqueValidationError` is reported on every item that shares its key with another item, and
+ * follows the items when they are moved.
+ *
+ * @param path Path of the array field to validate
+ * @param config Optional, allows providing any of the options in {@link UniqueValidatorConfig}.
+ * @template TValue The type of the array being validated.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function unique<TValue extends readonly unknown[], TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, config?: UniqueValidatorConfig<TValue, TPathKind>): void;
+
 /**
  * Adds logic to a field to determine if the field has validation errors.
  *
@@ -311,6 +442,23 @@ declare function required<TValue, TPathKind extends PathKind = PathKind.Root>(pa
  * @publicApi 22.0
  */
 declare function validate<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, logic: NoInfer<FieldValidator<TValue, TPathKind>>): void;
+/**
+ * Adds logic to a field to determine if the field has warnings.
+ *
+ * Warnings have the same shape as validation errors, but are reported through the field's
+ * `warnings()` and `warningSummary()` signals instead. They do not affect the field's validity
+ * and do not block submission, which makes them suitable for soft checks such as flagging an
+ * unusually large amount.
+ *
+ * @param path The target path to add the warning logic to.
+ * @param logic A `Validator` that returns the current warnings.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+declare function warn<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, logic: NoInfer<FieldValidator<TValue, TPathKind>>): void;
 
 /**
  * A function that takes the result of an async operation and the current field context, and maps it
@@ -329,6 +477,91 @@ declare function validate<TValue, TPathKind extends PathKind = PathKind.Root>(pa
  * @publicApi 22.0
  */
 type MapToErrorsFn<TValue, TResult, TPathKind extends PathKind = PathKind.Root> = (result: TResult, ctx: FieldContext<TValue, TPathKind>) => TreeValidationResult;
+/**
+ * Options for an {@link AsyncValidationCache}.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface AsyncValidationCacheConfig {
+    /** How long, in milliseconds, a result stays in the cache. Defaults to 5 minutes. */
+    ttl?: number;
+    /**
+     * The maximum number of results to keep. When exceeded, the oldest stored result is evicted.
+     * Defaults to 100.
+     */
+    maxSize?: number;
+}
+/**
+ * A cache of resolved async validation results, with a time to live and a maximum size.
+ *
+ * Async validators that opt in with the `cache` option store their resolved results here, keyed by
+ * their serialized params, and reuse them instead of creating a new request when a field returns
+ * to params that were already checked. Results are namespaced per validator, so a cache can safely
+ * be shared by any number of validators and fields, while every form created from the same schema
+ * reuses the same results. Failed requests are never cached. When a result expires or is removed,
+ * only the validators that used it run again.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class AsyncValidationCache {
+    private readonly ttl;
+    private readonly maxSize;
+    private readonly entries;
+    private expiryTimeout;
+    constructor(options?: AsyncValidationCacheConfig);
+    /** Returns the cached result for the given key, or `undefined` if it is missing or expired. */
+    get(key: string): unknown;
+    /** Stores a result under the given key, evicting the oldest stored result if needed. */
+    set(key: string, value: unknown): void;
+    /** Removes the result stored under the given key. */
+    delete(key: string): void;
+    /** Removes all results, e.g. after the data they were validated against has changed. */
+    clear(): void;
+    private expire;
+}
+/**
+ * The {@link AsyncValidationCache} used by async validators that don't specify their own `store`.
+ * By default a single cache is shared by the whole application.
+ *
+ * @see {@link provideAsyncValidationCache}
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare const ASYNC_VALIDATION_CACHE: InjectionToken<AsyncValidationCache>;
+/**
+ * Provides the {@link ASYNC_VALIDATION_CACHE} with the given options.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function provideAsyncValidationCache(options?: AsyncValidationCacheConfig): Provider[];
+/**
+ * Options for caching the results of an async validator.
+ *
+ * @template TParams The type of parameters to the resource.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface AsyncValidationCacheOptions<TParams> {
+    /** Serializes the params into a cache key. Defaults to `JSON.stringify`. */
+    readonly key?: (params: TParams) => string;
+    /**
+     * The namespace the validator's results are stored under. Validators with the same namespace
+     * share results for equal keys.
+     *
+     * Defaults to a namespace derived from the schema function that declares the validator and the
+     * validator's position within it, so all forms created from the same schema share results.
+     * Forms created from inline schema functions get a new namespace each time, so set a
+     * namespace to share results between them.
+     */
+    readonly namespace?: string;
+    /** The cache to store results in. Defaults to the injected {@link ASYNC_VALIDATION_CACHE}. */
+    readonly store?: AsyncValidationCache;
+}
 /**
  * Options that indicate how to create a resource for async validation for a field,
  * and map its result to validation errors.
@@ -387,6 +620,14 @@ interface AsyncValidatorOptions<TValue, TParams, TResult, TPathKind extends Path
      * A function that receives the field context and returns true if the async validation should be run.
      */
     readonly when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
+    /**
+     * Whether to cache resolved results by their params. A cached result is mapped to errors
+     * synchronously, without creating a request or making the field pending.
+     *
+     * Pass `true` to use the injected {@link ASYNC_VALIDATION_CACHE} with `JSON.stringify`d params
+     * as keys, or an object to customize the key or the cache.
+     */
+    readonly cache?: boolean | AsyncValidationCacheOptions<Exclude<TParams, undefined>>;
 }
 /**
  * Adds async validation to the field corresponding to the given path based on a resource.
@@ -405,6 +646,90 @@ interface AsyncValidatorOptions<TValue, TParams, TResult, TPathKind extends Path
  * @publicApi 22.0
  */
 declare function validateAsync<TValue, TParams, TResult, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, opts: AsyncValidatorOptions<TValue, TParams, TResult, TPathKind>): void;
+/**
+ * Adds async warnings to the field corresponding to the given path based on a resource.
+ * Like {@link validateAsync}, the resource only runs once all synchronous validation is passing,
+ * but its results are reported as `warnings()` and never make the field pending or invalid.
+ *
+ * @param path A path indicating the field to bind the async warning logic to.
+ * @param opts The async validation options, whose results are mapped to warnings.
+ * @template TValue The type of value stored in the field being checked.
+ * @template TParams The type of parameters to the resource.
+ * @template TResult The type of result returned by the resource
+ * @template TPathKind The kind of path being checked (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function warnAsync<TValue, TParams, TResult, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, opts: AsyncValidatorOptions<TValue, TParams, TResult, TPathKind>): void;
+
+/**
+ * Options for async validation of a field based on a function that returns a `Promise` or an
+ * `Observable` of validation errors.
+ *
+ * @template TValue The type of value stored in the field being validated.
+ * @template TParams The type of parameters passed to the validation function.
+ * @template TPathKind The kind of path being validated (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface AsyncFnValidatorOptions<TValue, TParams, TPathKind extends PathKind = PathKind.Root> {
+    /**
+     * A function that receives the field context and returns the params for the validation function.
+     * Returning `undefined` skips the validation.
+     */
+    readonly params: (ctx: FieldContext<TValue, TPathKind>) => TParams;
+    /**
+     * Validates the given params. The abort signal is aborted when the params change or the
+     * {@link timeout} elapses before the result is available. For an `Observable`, the first
+     * emitted value is used.
+     *
+     * @param params The params returned by {@link params}.
+     * @param abortSignal Signal that is aborted when the result is no longer needed.
+     * @returns The validation errors for the params.
+     */
+    readonly run: (params: Exclude<TParams, undefined>, abortSignal: AbortSignal) => Promise<TreeValidationResult> | Observable<TreeValidationResult>;
+    /**
+     * Duration in milliseconds to wait before triggering the async operation, or a function that
+     * returns a promise that resolves when the update should proceed.
+     */
+    readonly debounce?: DebounceTimer<TParams | undefined>;
+    /**
+     * Duration in milliseconds after which the validation is aborted and reported as a
+     * `TimeoutValidationError`.
+     */
+    readonly timeout?: number;
+    /**
+     * A function to map errors thrown by {@link run} to validation errors. By default they are ignored.
+     */
+    readonly onError?: (error: unknown, ctx: FieldContext<TValue, TPathKind>) => TreeValidationResult;
+    /**
+     * A function that receives the field context and returns true if the async validation should be run.
+     */
+    readonly when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
+    /**
+     * Whether to cache results by their params.
+     *
+     * @see AsyncValidatorOptions#cache
+     */
+    readonly cache?: boolean | AsyncValidationCacheOptions<Exclude<TParams, undefined>>;
+}
+/**
+ * Adds async validation to the field corresponding to the given path based on a function that
+ * returns a `Promise` or an `Observable`, such as an existing `AsyncValidatorFn`-style validator.
+ * Async validation for a field only runs once all synchronous validation is passing.
+ *
+ * @param path A path indicating the field to bind the async validation logic to.
+ * @param opts The async validation options.
+ * @template TValue The type of value stored in the field being validated.
+ * @template TParams The type of parameters passed to the validation function.
+ * @template TPathKind The kind of path being validated (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function validateAsyncFn<TValue, TParams, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, opts: AsyncFnValidatorOptions<TValue, TParams, TPathKind>): void;
 
 /**
  * Options that indicate how to create an httpResource for async validation for a field,
@@ -459,6 +784,12 @@ interface HttpValidatorOptions<TValue, TResult, TPathKind extends PathKind = Pat
      * A function that receives the field context and returns true if the async validation should be run.
      */
     readonly when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
+    /**
+     * Whether to cache resolved responses by their request.
+     *
+     * @see AsyncValidatorOptions#cache
+     */
+    readonly cache?: boolean | AsyncValidationCacheOptions<string | HttpResourceRequest>;
 }
 /**
  * Adds async validation to the field corresponding to the given path based on an httpResource.
@@ -476,6 +807,134 @@ interface HttpValidatorOptions<TValue, TResult, TPathKind extends PathKind = Pat
  * @publicApi 22.0
  */
 declare function validateHttp<TValue, TResult = unknown, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, opts: HttpValidatorOptions<TValue, TResult, TPathKind>): void;
+/**
+ * A single validation in an {@link HttpValidationBatch}.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface HttpValidationBatchEntry {
+    /** The `name` of the validator that requested the validation. */
+    readonly name: string;
+    /** The params of the validation. */
+    readonly params: unknown;
+}
+/**
+ * Options for {@link createHttpValidationBatch}.
+ *
+ * @template TResponse The type of the response to a batched request.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface HttpValidationBatchOptions<TResponse> {
+    /**
+     * Creates the request for a batch. Identical validations are only included once.
+     *
+     * @param entries The validations included in the batch.
+     */
+    readonly request: (entries: readonly HttpValidationBatchEntry[]) => string | HttpResourceRequest;
+    /**
+     * Extracts the result of a single validation from the response. By default, the response is
+     * expected to be an array with one result per entry, in the order of the entries.
+     */
+    readonly select?: (response: TResponse, entry: HttpValidationBatchEntry, index: number) => unknown;
+    /**
+     * Duration in milliseconds to collect validations for before sending them. Defaults to `0`,
+     * which batches the validations started in the same tick.
+     */
+    readonly window?: number;
+}
+/**
+ * Coalesces the validations of the {@link validateHttpBatch} validators that use it into batched
+ * requests. Validations started within the same window are sent together in one request, regardless
+ * of which field or form they belong to, using the `HttpClient` of the first of them. Use separate
+ * batches for validations that should not be combined. When `request` or `select` throws, the
+ * validations it applies to fail with that error and are handled by `onError`.
+ *
+ * @template TResponse The type of the response to a batched request.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare class HttpValidationBatch<TResponse = unknown> {
+    private readonly options;
+    private queue;
+    private constructor();
+    private load;
+    private flush;
+}
+/**
+ * Creates an {@link HttpValidationBatch} to share between {@link validateHttpBatch} validators.
+ *
+ * @param options The batch options.
+ * @template TResponse The type of the response to a batched request.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function createHttpValidationBatch<TResponse = unknown>(options: HttpValidationBatchOptions<TResponse>): HttpValidationBatch<TResponse>;
+/**
+ * Options for {@link validateHttpBatch}.
+ *
+ * @template TValue The type of value stored in the field being validated.
+ * @template TParams The type of parameters sent in the batch.
+ * @template TResult The type of result selected from the batch response.
+ * @template TPathKind The kind of path being validated (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+interface HttpBatchValidatorOptions<TValue, TParams, TResult, TPathKind extends PathKind = PathKind.Root> {
+    /** Identifies the validation in the batch, e.g. `'username'`. */
+    readonly name: string;
+    /**
+     * A function that receives the field context and returns the params to send in the batch.
+     * Returning `undefined` skips the validation.
+     */
+    readonly params: (ctx: FieldContext<TValue, TPathKind>) => TParams;
+    /**
+     * A function that maps the result selected for this validation to validation errors.
+     */
+    readonly onSuccess: MapToErrorsFn<TValue, TResult, TPathKind>;
+    /**
+     * A function to handle errors of the batched request (HTTP errors, network errors, etc.).
+     * Receives the error and the field context, returns a list of validation errors.
+     */
+    readonly onError: (error: unknown, ctx: FieldContext<TValue, TPathKind>) => TreeValidationResult;
+    /**
+     * Duration in milliseconds to wait before adding the validation to a batch, or a function that
+     * returns a promise that resolves when the update should proceed.
+     */
+    readonly debounce?: DebounceTimer<TParams | undefined>;
+    /**
+     * A function that receives the field context and returns true if the async validation should be run.
+     */
+    readonly when?: NoInfer<LogicFn<TValue, boolean, TPathKind>>;
+    /**
+     * Whether to cache results by their params.
+     *
+     * @see AsyncValidatorOptions#cache
+     */
+    readonly cache?: boolean | AsyncValidationCacheOptions<Exclude<TParams, undefined>>;
+}
+/**
+ * Adds async validation to the field corresponding to the given path, sent as part of a batched
+ * HTTP request shared with the other validators that use the same {@link HttpValidationBatch}.
+ * The field is pending while its batch is in flight, as with {@link validateAsync}.
+ *
+ * @param path A path indicating the field to bind the async validation logic to.
+ * @param batch The batch to add validations to.
+ * @param opts The batched validation options.
+ * @template TValue The type of value stored in the field being validated.
+ * @template TParams The type of parameters sent in the batch.
+ * @template TResult The type of result selected from the batch response.
+ * @template TPathKind The kind of path being validated (a root path, child path, or item of an array)
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function validateHttpBatch<TValue, TParams, TResult = unknown, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, batch: HttpValidationBatch, opts: HttpBatchValidatorOptions<TValue, TParams, TResult, TPathKind>): void;
 
 /**
  * Adds logic to a field to determine if the field or any of its child fields has validation errors.
@@ -601,8 +1060,8 @@ interface FormUiControl<TValue> {
     /**
      * Focuses the UI control.
      *
-     * If the focus method is not implemented, Signal Forms will attempt to focus the host element
-     * when asked to focus this control.
+     * If the focus method is not implemented, Signal Forms will attempt to focus the host element,
+     * or its first focusable descendant, when asked to focus this control.
      */
     focus?(options?: FocusOptions): void;
     /**
@@ -683,6 +1142,170 @@ interface FormCheckboxControl extends FormUiControl<boolean> {
  */
 declare function debounce<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, config: number | 'blur' | Debouncer<TValue, TPathKind>): void;
 
+/**
+ * Declares the default value of a field, which is restored when the field or one of its ancestors
+ * is {@link FieldState#reset reset} without a value.
+ *
+ * Items added to an array field with `push()` or `insert()` also receive the defaults declared
+ * for them, for any field whose value is `undefined` or missing from the added item.
+ *
+ * @example
+ * ```ts
+ * const searchForm = form(search, (s) => {
+ *   defaultValue(s.query, '');
+ *   defaultValue(s.filters, () => ({inStock: true, tags: []}));
+ *   applyEach(s.ranges, (r) => defaultValue(r.min, 0));
+ * });
+ *
+ * searchForm().reset(); // Restores `query`, `filters` and each range's `min`.
+ * ```
+ *
+ * @param path The target path.
+ * @param valueOrFn The default value, or a function that creates it. Use a function for object and
+ *   array defaults, so that each reset gets a fresh value.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+declare function defaultValue<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, valueOrFn: NoInfer<TValue> | (() => NoInfer<TValue>)): void;
+
+/**
+ * Options for {@link derive}.
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+interface DeriveOptions {
+    /**
+     * Whether the user can override the derived value by editing the field's control. When `true`,
+     * the field is not made readonly, and once the user edits it, it keeps the user's value until it
+     * is {@link FieldState#reset reset}. Defaults to `false`.
+     */
+    overridable?: boolean;
+}
+/**
+ * Keeps the value of a field in sync with a value computed from other fields.
+ *
+ * The field's value is the computed value, and is up to date as soon as the fields it depends on
+ * change. The computed value is also written to the model in the same write that changes the
+ * fields it depends on, as well as when the form is created or reset. When the model signal is set
+ * directly rather than through the form, the derived field still reads the computed value, and the
+ * model catches up with the next write through the form. A derived field is never dirty by itself. Unless the
+ * derivation is `overridable`, the field is made readonly, and writes to it are replaced with the
+ * derived value.
+ *
+ * @example
+ * ```ts
+ * const orderForm = form(order, (o) => {
+ *   derive(o.total, ({valueOf}) => valueOf(o.price) * valueOf(o.quantity));
+ * });
+ * ```
+ *
+ * @param path The target path for the derived field.
+ * @param logic A reactive function that computes the value of the field.
+ * @param options Options for the derivation.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+declare function derive<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, logic: NoInfer<LogicFn<TValue, TValue, TPathKind>>, options?: DeriveOptions): void;
+
+/**
+ * Normalizes the value the user enters into a field before it is written to the model, e.g. to
+ * trim whitespace or upper-case an IBAN.
+ *
+ * Normalization runs when the field's {@link FieldState#controlValue controlValue} is committed
+ * to the model, after any {@link debounce}, so validation always sees the normalized value. While
+ * the user is typing, the control keeps showing what they entered; it is updated to the
+ * normalized value when the field is touched, e.g. when the control loses focus. Multiple
+ * normalizers on the same field run in the order they are declared.
+ *
+ * @example
+ * ```ts
+ * const paymentForm = form(payment, (p) => {
+ *   normalize(p.iban, (iban) => iban.replace(/\s+/g, '').toUpperCase());
+ * });
+ * ```
+ *
+ * @param path The target path.
+ * @param fn A function that returns the normalized form of a value entered by the user.
+ * @template TValue The type of value stored in the field the logic is bound to.
+ * @template TPathKind The kind of path the logic is bound to (a root path, child path, or item of an array)
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+declare function normalize<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, fn: (value: TValue) => TValue): void;
+
+/**
+ * Configures when the errors of a field and its descendants should be shown to the user,
+ * overriding the `errorVisibility` option of {@link provideSignalFormsConfig}.
+ *
+ * @example
+ * ```ts
+ * const signupForm = form(signup, (s) => {
+ *   // Don't nag about the password until the user submits.
+ *   errorVisibility(s.password, 'submitted');
+ * });
+ *
+ * signupForm.password().visibleErrors(); // [] until the first submit attempt
+ * ```
+ *
+ * @param path The target path.
+ * @param policy The error visibility policy to use for the field.
+ *
+ * @category validation
+ * @publicApi 22.2
+ */
+declare function errorVisibility<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, policy: ErrorVisibility): void;
+
+/**
+ * Identifies the items of an array field by a key, so that each item keeps its field (and with it,
+ * its state) when the array is reordered or an item is replaced by a new value with the same key.
+ *
+ * By default, object items are identified by reference and primitive items by their index. Items
+ * that share a key with an earlier item are identified by their index.
+ *
+ * @example
+ * ```ts
+ * const ordersForm = form(orders, (o) => {
+ *   // Rows keep their state when the orders are refetched from the server.
+ *   trackBy(o.lines, (line) => line.id);
+ * });
+ * ```
+ *
+ * @param path The target path for an array field.
+ * @param fn A function that returns the key of an item.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function trackBy<TValue extends ReadonlyArray<any>, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, fn: TrackByFn<TValue[number]>): void;
+
+/**
+ * Configures how a field and its descendants determine whether they are dirty, overriding the
+ * `dirtyTracking` option of the form.
+ *
+ * @example
+ * ```ts
+ * const settingsForm = form(settings, (s) => {
+ *   // Undoing an edit by hand makes the field pristine again.
+ *   dirtyTracking(s.profile, 'value');
+ * });
+ * ```
+ *
+ * @param path The target path.
+ * @param mode The dirty tracking mode to use for the field.
+ *
+ * @category logic
+ * @publicApi 22.2
+ */
+declare function dirtyTracking<TValue, TPathKind extends PathKind = PathKind.Root>(path: SchemaPath<TValue, SchemaPathRules.Supported, TPathKind>, mode: DirtyTrackingMode): void;
+
 /**
  * Result of parsing a raw value into a model value.
  */
@@ -808,6 +1431,67 @@ declare class FormRoot<T> {
     static ɵdir: i0.ɵɵDirectiveDeclaration<FormRoot<any>, "form[formRoot]", never, { "fieldTree": { "alias": "formRoot"; "required": true; "isSignal": true; }; }, {}, never, never, true, never>;
 }
 
+/**
+ * Creates a {@link FormPersistenceAdapter} that stores form drafts as JSON in `localStorage`.
+ *
+ * Drafts are kept across browser sessions. When `localStorage` is not available (e.g. during
+ * server-side rendering), nothing is loaded or saved.
+ * A stored entry that is not valid JSON is removed and treated as no draft.
+ *
+ * @example
+ * ```ts
+ * const checkoutForm = form(signal(emptyCheckout), {
+ *   name: 'checkout',
+ *   persistence: {adapter: localStoragePersistence()},
+ * });
+ * ```
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function localStoragePersistence(): FormPersistenceAdapter;
+/**
+ * Creates a {@link FormPersistenceAdapter} that stores form drafts as JSON in `sessionStorage`.
+ *
+ * Drafts are kept for the lifetime of the browser tab. When `sessionStorage` is not available
+ * (e.g. during server-side rendering), nothing is loaded or saved.
+ * A stored entry that is not valid JSON is removed and treated as no draft.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function sessionStoragePersistence(): FormPersistenceAdapter;
+/**
+ * Options for {@link indexedDbPersistence}.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+interface IndexedDbPersistenceOptions {
+    /** The name of the database. Defaults to `'ng-signal-forms'`. */
+    databaseName?: string;
+    /**
+     * The name of the object store the drafts are kept in. Defaults to `'drafts'`. If the database
+     * already exists without this store, its version is bumped to create it. While a connection in
+     * another tab blocks that upgrade, loading and saving fail instead of waiting for it.
+     */
+    storeName?: string;
+}
+/**
+ * Creates a {@link FormPersistenceAdapter} that stores form drafts in IndexedDB.
+ *
+ * Unlike the web storage adapters, drafts are stored as structured clones, so models may contain
+ * values such as `Date`s. Since IndexedDB is asynchronous, a draft is restored shortly after the
+ * form is created. When IndexedDB is not available (e.g. during server-side rendering), nothing is
+ * loaded or saved.
+ *
+ * @param options Options for the database that holds the drafts.
+ *
+ * @category structure
+ * @publicApi 22.2
+ */
+declare function indexedDbPersistence(options?: IndexedDbPersistenceOptions): FormPersistenceAdapter;
+
 /**
  * Creates a provider that configures all signal forms with `experimentalWebMcpTool`
  * to be registered as WebMCP tools.
@@ -818,5 +1502,5 @@ declare class FormRoot<T> {
  */
 declare function provideExperimentalWebMcpForms(): EnvironmentProviders;
 
-export { Debouncer, DisabledReason, FieldContext, FieldTree, FieldValidator, FormRoot, LogicFn, OneOrMany, PathKind, SchemaPath, SchemaPathRules, TreeValidationResult, TreeValidator, ValidationError, WithOptionalFieldTree, debounce, disabled, email, hidden, isFieldTree, max, maxDate, maxLength, min, minDate, minLength, pattern, provideExperimentalWebMcpForms, readonly, required, transformedValue, validate, validateAsync, validateHttp, validateTree };
-export type { AsyncValidatorOptions, FormCheckboxControl, FormUiControl, FormValueControl, HttpValidatorOptions, MapToErrorsFn, ParseResult, TransformedValueOptions, TransformedValueSignal };
+export { ASYNC_VALIDATION_CACHE, AsyncValidationCache, Debouncer, DirtyTrackingMode, DisabledReason, ErrorVisibility, FieldContext, FieldTree, FieldValidator, FormPersistenceAdapter, FormRoot, HttpValidationBatch, LogicFn, OneOrMany, PathKind, SchemaPath, SchemaPathRules, TrackByFn, TreeValidationResult, TreeValidator, ValidationError, WithOptionalFieldTree, createHttpValidationBatch, dateRangeOrder, debounce, defaultValue, derive, dirtyTracking, disabled, email, errorVisibility, hidden, indexedDbPersistence, isFieldTree, localStoragePersistence, matchesField, max, maxDate, maxLength, min, minDate, minLength, normalize, pattern, provideAsyncValidationCache, provideExperimentalWebMcpForms, readonly, required, requiredIf, requiredOneOf, sessionStoragePersistence, sumEquals, trackBy, transformedValue, unique, validate, validateAsync, validateAsyncFn, validateHttp, validateHttpBatch, validateTree, warn, warnAsync };
+export type { AsyncFnValidatorOptions, AsyncValidationCacheConfig, AsyncValidationCacheOptions, AsyncValidatorOptions, DeriveOptions, FormCheckboxControl, FormUiControl, FormValueControl, HttpBatchValidatorOptions, HttpValidationBatchEntry, HttpValidationBatchOptions, HttpValidatorOptions, IndexedDbPersistenceOptions, MapToErrorsFn, ParseResult, TransformedValueOptions, TransformedValueSignal, UniqueValidatorConfig };